@@ -0,0 +1,310 @@
+/**
+ * Alignment Module
+ * Dynamic time warping between A and B on frame features (chroma, MFCC or
+ * spectral flux), and the source positions that follow the warping path
+ */
+
+const Alignment = {
+    // Features a path can be found on
+    features: {
+        chroma: 'Chroma',
+        mfcc: 'MFCC',
+        flux: 'Spectral flux'
+    },
+
+    // Half-width of the search band around the diagonal, as a share of the longer
+    // input and at most maxBand frames (which bounds the memory a long file needs).
+    // The band must also be as wide as the length ratio for a path to fit in it, so
+    // inputs whose lengths differ by more than maxBand times are refused (see dtw)
+    band: 0.2,
+    maxBand: 400,
+
+    // Moving-average radius (frames) applied to the source positions, so the
+    // stair steps of the path become smooth changes of speed
+    smoothing: 4,
+
+    /**
+     * Feature vector of every frame, scaled so Euclidean distance compares them
+     * @param {Array} frames - {magnitude} frames
+     * @param {string} type - 'chroma', 'mfcc' or 'flux'
+     * @param {number} binHz - Frequency spacing of the bins
+     * @returns {Float32Array[]}
+     */
+    getFeatures: (frames, type, binHz) => {
+        if (type === 'mfcc') return Alignment.mfcc(frames, binHz);
+        if (type === 'flux') return Alignment.flux(frames, binHz);
+        return Alignment.chroma(frames, binHz);
+    },
+
+    /**
+     * Energy per pitch class (C to B) between 55 Hz and 5 kHz, unit length
+     * per frame (silent frames stay zero)
+     * @param {Array} frames - {magnitude} frames
+     * @param {number} binHz - Frequency spacing of the bins
+     * @returns {Float32Array[]}
+     */
+    chroma: (frames, binHz) => {
+        if (frames.length === 0) return [];
+        const numBins = frames[0].magnitude.length;
+        const pitchClass = new Int8Array(numBins).fill(-1);
+        for (let k = 1; k < numBins; k++) {
+            const freq = k * binHz;
+            if (freq < 55 || freq > 5000) continue;
+            const midi = Math.round(69 + 12 * Math.log2(freq / 440));
+            pitchClass[k] = ((midi % 12) + 12) % 12;
+        }
+
+        return frames.map(frame => {
+            const vector = new Float32Array(12);
+            for (let k = 0; k < numBins; k++) {
+                if (pitchClass[k] >= 0) vector[pitchClass[k]] += frame.magnitude[k] * frame.magnitude[k];
+            }
+            return Alignment.normalize(vector);
+        });
+    },
+
+    /**
+     * Mel-frequency cepstral coefficients 1-12 (26 mel bands up to 8 kHz; c0,
+     * the overall level, is left out), unit length per frame
+     * @param {Array} frames - {magnitude} frames
+     * @param {number} binHz - Frequency spacing of the bins
+     * @returns {Float32Array[]}
+     */
+    mfcc: (frames, binHz) => {
+        if (frames.length === 0) return [];
+        const numBins = frames[0].magnitude.length;
+        const numBands = 26;
+        const toMel = freq => 2595 * Math.log10(1 + freq / 700);
+        const fromMel = mel => 700 * (Math.pow(10, mel / 2595) - 1);
+        const maxMel = toMel(Math.min(8000, (numBins - 1) * binHz));
+        const edges = Array.from({ length: numBands + 2 }, (_, b) => fromMel(maxMel * b / (numBands + 1)) / binHz);
+
+        // Triangular band weights as [band][{bin, weight}]
+        const bands = [];
+        for (let b = 0; b < numBands; b++) {
+            const weights = [];
+            for (let k = Math.ceil(edges[b]); k <= Math.floor(edges[b + 2]) && k < numBins; k++) {
+                const weight = k <= edges[b + 1]
+                    ? (k - edges[b]) / Math.max(1e-9, edges[b + 1] - edges[b])
+                    : (edges[b + 2] - k) / Math.max(1e-9, edges[b + 2] - edges[b + 1]);
+                if (weight > 0) weights.push({ bin: k, weight });
+            }
+            bands.push(weights);
+        }
+
+        const logEnergy = new Float32Array(numBands);
+        return frames.map(frame => {
+            bands.forEach((weights, b) => {
+                let energy = 0;
+                weights.forEach(({ bin, weight }) => {
+                    energy += weight * frame.magnitude[bin] * frame.magnitude[bin];
+                });
+                logEnergy[b] = Math.log(energy + 1e-10);
+            });
+
+            const vector = new Float32Array(12);
+            for (let c = 1; c <= 12; c++) {
+                let sum = 0;
+                for (let b = 0; b < numBands; b++) {
+                    sum += logEnergy[b] * Math.cos(Math.PI * c * (b + 0.5) / numBands);
+                }
+                vector[c - 1] = sum;
+            }
+            return Alignment.normalize(vector);
+        });
+    },
+
+    /**
+     * Spectral flux (rise in log magnitude since the previous frame) in 8
+     * octave bands from 50 Hz, scaled by the strongest frame of the sequence
+     * so onsets of different strength stay distinguishable
+     * @param {Array} frames - {magnitude} frames
+     * @param {number} binHz - Frequency spacing of the bins
+     * @returns {Float32Array[]}
+     */
+    flux: (frames, binHz) => {
+        if (frames.length === 0) return [];
+        const numBins = frames[0].magnitude.length;
+        const band = new Int8Array(numBins).fill(-1);
+        for (let k = 1; k < numBins; k++) {
+            const octave = Math.floor(Math.log2(k * binHz / 50));
+            if (octave >= 0) band[k] = Math.min(7, octave);
+        }
+
+        let max = 0;
+        const vectors = frames.map((frame, i) => {
+            const vector = new Float32Array(8);
+            if (i === 0) return vector;
+            const previous = frames[i - 1].magnitude;
+            for (let k = 0; k < numBins; k++) {
+                if (band[k] < 0) continue;
+                const rise = Math.log(1 + frame.magnitude[k]) - Math.log(1 + previous[k]);
+                if (rise > 0) vector[band[k]] += rise;
+            }
+            max = Math.max(max, Math.hypot(...vector));
+            return vector;
+        });
+
+        if (max > 0) vectors.forEach(vector => vector.forEach((value, b) => { vector[b] = value / max; }));
+        return vectors;
+    },
+
+    /**
+     * Scale a vector to unit length (zero vectors stay zero)
+     * @param {Float32Array} vector - Vector (scaled in place)
+     * @returns {Float32Array}
+     */
+    normalize: (vector) => {
+        const length = Math.hypot(...vector);
+        if (length > 0) vector.forEach((value, i) => { vector[i] = value / length; });
+        return vector;
+    },
+
+    /**
+     * Lowest-cost monotonic path through the frame-distance matrix, searched in
+     * a band around the diagonal (see band)
+     * @param {Float32Array[]} featuresA - A's features per frame
+     * @param {Float32Array[]} featuresB - B's features per frame
+     * @returns {Object} {pathA, pathB (frame indices along the path, from the first frames
+     *   to the last), cost (mean distance along the path)}
+     * @throws {Error} If one input is more than maxBand times longer than the other
+     */
+    dtw: (featuresA, featuresB) => {
+        const n = featuresA.length;
+        const m = featuresB.length;
+        if (n === 0 || m === 0) return { pathA: new Int32Array(0), pathB: new Int32Array(0), cost: 0 };
+
+        const longer = Math.max(n, m);
+        const ratio = Math.ceil(longer / Math.min(n, m));
+        if (ratio > Alignment.maxBand) {
+            throw new Error(`DTW needs inputs of comparable length (one is ${ratio} times longer than the other); use linear alignment`);
+        }
+        const radius = Math.max(
+            Math.min(Alignment.maxBand, Math.max(8, Math.ceil(Alignment.band * longer))),
+            ratio
+        );
+        const slope = n > 1 ? (m - 1) / (n - 1) : 0;
+        const low = i => Math.max(0, Math.floor(i * slope) - radius);
+        const high = i => Math.min(m - 1, Math.ceil(i * slope) + radius);
+        const width = 2 * radius + 2;
+
+        const distance = (a, b) => {
+            let sum = 0;
+            for (let d = 0; d < a.length; d++) {
+                const diff = a[d] - b[d];
+                sum += diff * diff;
+            }
+            return Math.sqrt(sum);
+        };
+
+        // Accumulated cost and the step taken into each cell: 0 diagonal, 1 from i - 1, 2 from j - 1
+        const total = new Float32Array(n * width).fill(Infinity);
+        const steps = new Uint8Array(n * width);
+        const at = (i, j) => (j < low(i) || j > high(i)) ? Infinity : total[i * width + j - low(i)];
+
+        for (let i = 0; i < n; i++) {
+            const from = low(i);
+            const to = high(i);
+            // Previous row's band, as an offset into total (the band only moves right)
+            const previousFrom = i > 0 ? low(i - 1) : 0;
+            const previousTo = i > 0 ? high(i - 1) : -1;
+            const previousRow = (i - 1) * width - previousFrom;
+            for (let j = from; j <= to; j++) {
+                const d = distance(featuresA[i], featuresB[j]);
+                const cell = i * width + j - from;
+                if (i === 0 && j === 0) {
+                    total[cell] = d;
+                    continue;
+                }
+                const diagonal = j - 1 >= previousFrom && j - 1 <= previousTo ? total[previousRow + j - 1] : Infinity;
+                const up = j >= previousFrom && j <= previousTo ? total[previousRow + j] : Infinity;
+                const left = j > from ? total[cell - 1] : Infinity;
+                if (diagonal <= up && diagonal <= left) {
+                    total[cell] = d + diagonal;
+                } else if (up <= left) {
+                    total[cell] = d + up;
+                    steps[cell] = 1;
+                } else {
+                    total[cell] = d + left;
+                    steps[cell] = 2;
+                }
+            }
+        }
+
+        const pathA = [];
+        const pathB = [];
+        let i = n - 1, j = m - 1;
+        const cost = at(i, j);
+        while (i > 0 || j > 0) {
+            pathA.push(i);
+            pathB.push(j);
+            const step = steps[i * width + j - low(i)];
+            if (step !== 2) i--;
+            if (step !== 1) j--;
+        }
+        pathA.push(0);
+        pathB.push(0);
+
+        return {
+            pathA: Int32Array.from(pathA.reverse()),
+            pathB: Int32Array.from(pathB.reverse()),
+            cost: cost / pathA.length
+        };
+    },
+
+    /**
+     * Source frame positions per output frame: output frames are spread evenly
+     * along the path, so both inputs reach matching points at the same time
+     * @param {Int32Array} path - Frame indices of one input along the path
+     * @param {number} targetFrames - Number of output frames
+     * @returns {Float32Array} Fractional source frame per output frame (non-decreasing)
+     */
+    getPositions: (path, targetFrames) => {
+        const positions = new Float32Array(targetFrames);
+        if (path.length === 0) return positions;
+
+        const last = path.length - 1;
+        const raw = Float32Array.from({ length: targetFrames }, (_, t) => {
+            const p = targetFrames > 1 ? t * last / (targetFrames - 1) : 0;
+            const p0 = Math.floor(p);
+            const p1 = Math.min(p0 + 1, last);
+            return path[p0] + (path[p1] - path[p0]) * (p - p0);
+        });
+
+        // A moving average of a non-decreasing sequence stays non-decreasing
+        const radius = Alignment.smoothing;
+        for (let t = 0; t < targetFrames; t++) {
+            const from = Math.max(0, t - radius);
+            const to = Math.min(targetFrames - 1, t + radius);
+            let sum = 0;
+            for (let s = from; s <= to; s++) sum += raw[s];
+            positions[t] = sum / (to - from + 1);
+        }
+        positions[0] = path[0];
+        positions[targetFrames - 1] = path[last];
+        return positions;
+    },
+
+    /**
+     * The frame of one input matched with every frame of the other along a path
+     * (the middle of its matches where the path holds one input still)
+     * @param {Int32Array} pathFrom - Frame indices of the input to pair, along the path
+     * @param {Int32Array} pathTo - Frame indices of the other input, along the path
+     * @param {number} length - Frames of the input to pair
+     * @returns {Int32Array} Frame of the other input per frame
+     */
+    pairFrames: (pathFrom, pathTo, length) => {
+        const sums = new Float64Array(length);
+        const counts = new Int32Array(length);
+        for (let p = 0; p < pathFrom.length; p++) {
+            sums[pathFrom[p]] += pathTo[p];
+            counts[pathFrom[p]]++;
+        }
+        return Int32Array.from(sums, (sum, j) => counts[j] > 0 ? Math.round(sum / counts[j]) : 0);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Alignment;
+}
@@ -0,0 +1,258 @@
+/**
+ * Analysis Cache Module
+ * Keeps STFT analyses (and results derived from them) so that re-processing
+ * with a different operation or phase mode skips re-analysing the inputs
+ */
+
+class AnalysisCache {
+    /**
+     * @param {number} maxEntries - Analyses kept before the least recently used is dropped
+     * @param {number} maxElements - Array elements (e.g. Float32 bins) kept in total, counting the
+     *   results derived from each analysis; the least recently used analyses are dropped beyond
+     *   it, except the pinned ones (the current analyses of A and B), which always stay (default
+     *   64M, 256 MB of Float32)
+     * @param {number} maxDerived - Results of each kind (the key up to its first "|", e.g. "stretch")
+     *   kept per source, so sweeping a setting doesn't pile up copies (default 2)
+     */
+    constructor(maxEntries = 16, maxElements = 64 * 1024 * 1024, maxDerived = 2) {
+        this.maxEntries = maxEntries;
+        this.maxElements = maxElements;
+        this.maxDerived = maxDerived;
+        this.entries = new Map(); // "bufferId|key" -> value, in least-recently-used order
+        this.sizes = new Map(); // "bufferId|key" -> elements held by the analysis and its derived results
+        this.totalElements = 0;
+        this.counted = new Map(); // "bufferId|key" -> arrays already counted towards the entry
+        this.pinned = new Map(); // label (e.g. "A") -> ids of the analyses in use for it
+        this.bufferIds = new WeakMap();
+        this.nextBufferId = 1;
+
+        // Results derived from a cached analysis (e.g. stretched frames), keyed by the
+        // analysis object itself so they disappear together with it. Per source a Map
+        // of key -> {value, elements}, in least-recently-used order
+        this.derived = new WeakMap();
+
+        // Entry every cached object (analysis or derived result) counts towards
+        this.owners = new WeakMap();
+    }
+
+    /**
+     * Count the array elements held by a value (typed arrays, arrays and plain objects of them).
+     * Arrays in `seen` are skipped and the rest added to it, so arrays shared between results
+     * (e.g. the phase of separated parts) count once
+     * @param {*} value - Value to measure
+     * @param {WeakSet} seen - Typed arrays already counted
+     * @returns {number}
+     */
+    countElements(value, seen = new WeakSet()) {
+        if (!value || typeof value !== 'object') return 0;
+        if (ArrayBuffer.isView(value)) {
+            if (seen.has(value)) return 0;
+            seen.add(value);
+            return value.length;
+        }
+        const items = Array.isArray(value) ? value : Object.values(value);
+        let count = 0;
+        for (let i = 0; i < items.length; i++) count += this.countElements(items[i], seen);
+        return count;
+    }
+
+    /**
+     * Objects results can be derived from: a value and, for a plain object of
+     * results (e.g. separated parts), each of its members
+     * @param {*} value - Cached value
+     * @returns {Object[]}
+     */
+    getSources(value) {
+        if (!value || typeof value !== 'object') return [];
+        if (Array.isArray(value) || ArrayBuffer.isView(value)) return [value];
+        return [value, ...Object.values(value).filter(member => member && typeof member === 'object')];
+    }
+
+    /**
+     * Add elements to an entry's size (no-op for entries that were dropped)
+     * @param {string} id - Entry id
+     * @param {number} elements - Elements to add (negative to remove)
+     */
+    addSize(id, elements) {
+        if (!this.sizes.has(id)) return;
+        this.sizes.set(id, this.sizes.get(id) + elements);
+        this.totalElements += elements;
+    }
+
+    /**
+     * Drop the least recently used entries that aren't pinned until both bounds are met
+     * (or only pinned entries are left)
+     */
+    evict() {
+        const isPinned = id => [...this.pinned.values()].some(ids => ids.has(id));
+        while (this.entries.size > this.maxEntries || this.totalElements > this.maxElements) {
+            const id = [...this.entries.keys()].find(entryId => !isPinned(entryId));
+            if (id === undefined) return;
+            this.delete(id);
+        }
+    }
+
+    /**
+     * Drop one entry
+     * @param {string} id - Entry id
+     */
+    delete(id) {
+        this.totalElements -= this.sizes.get(id) || 0;
+        this.sizes.delete(id);
+        this.counted.delete(id);
+        this.entries.delete(id);
+    }
+
+    /**
+     * Mark the analyses in use for an input, replacing the ones marked for it
+     * before. Pinned analyses are never dropped to make room, so the two inputs
+     * being processed can't push each other out of the cache
+     * @param {Object} buffer - Audio buffer the analyses belong to
+     * @param {string} label - Input the analyses are used for (e.g. 'A')
+     * @param {string[]} keys - Analysis settings keys (cached already or about to be)
+     */
+    pin(buffer, label, keys) {
+        const bufferId = this.getBufferId(buffer);
+        this.pinned.set(label, new Set(keys.map(key => `${bufferId}|${key}`)));
+    }
+
+    /**
+     * Get a stable id for a buffer
+     * @param {Object} buffer - Audio buffer
+     * @returns {number}
+     */
+    getBufferId(buffer) {
+        if (!this.bufferIds.has(buffer)) {
+            this.bufferIds.set(buffer, this.nextBufferId++);
+        }
+        return this.bufferIds.get(buffer);
+    }
+
+    /**
+     * Look up a cached analysis
+     * @param {Object} buffer - Audio buffer the analysis belongs to
+     * @param {string} key - Analysis settings key
+     * @returns {*} Cached value, or undefined
+     */
+    get(buffer, key) {
+        const id = `${this.getBufferId(buffer)}|${key}`;
+        if (!this.entries.has(id)) return undefined;
+
+        // Refresh its position in the LRU order
+        const value = this.entries.get(id);
+        this.entries.delete(id);
+        this.entries.set(id, value);
+        return value;
+    }
+
+    /**
+     * Store an analysis
+     * @param {Object} buffer - Audio buffer the analysis belongs to
+     * @param {string} key - Analysis settings key
+     * @param {*} value - Analysis to cache
+     */
+    set(buffer, key, value) {
+        const id = `${this.getBufferId(buffer)}|${key}`;
+        this.delete(id);
+        this.entries.set(id, value);
+        this.sizes.set(id, 0);
+        this.counted.set(id, new WeakSet());
+        this.getSources(value).forEach(source => this.owners.set(source, id));
+        this.addSize(id, this.countElements(value, this.counted.get(id)));
+        this.evict();
+    }
+
+    /**
+     * Look up a result derived from a cached object
+     * @param {Object} source - Object the result was derived from
+     * @param {string} key - Derivation settings key
+     * @returns {*} Cached value, or undefined
+     */
+    getDerived(source, key) {
+        const results = this.derived.get(source);
+        if (!results || !results.has(key)) return undefined;
+
+        // Refresh its position in the LRU order
+        const result = results.get(key);
+        results.delete(key);
+        results.set(key, result);
+        return result.value;
+    }
+
+    /**
+     * Store a result derived from a cached object
+     * @param {Object} source - Object the result was derived from
+     * @param {string} key - Derivation settings key
+     * @param {*} value - Result to cache
+     */
+    setDerived(source, key, value) {
+        if (!this.derived.has(source)) {
+            this.derived.set(source, new Map());
+        }
+        const results = this.derived.get(source);
+
+        // Derived results count towards the analysis they come from (directly or through another result)
+        const owner = this.owners.get(source);
+        const seen = this.counted.get(owner);
+        if (seen) this.getSources(value).forEach(member => this.owners.set(member, owner));
+        const elements = seen ? this.countElements(value, seen) : 0;
+
+        // A dropped result takes the results derived from it along
+        const release = result => {
+            if (owner !== undefined) this.addSize(owner, -result.elements);
+            this.getSources(result.value).forEach(member => {
+                const nested = this.derived.get(member);
+                if (nested) {
+                    this.derived.delete(member);
+                    nested.forEach(release);
+                }
+            });
+        };
+        const drop = resultKey => {
+            release(results.get(resultKey));
+            results.delete(resultKey);
+        };
+        if (results.has(key)) drop(key);
+        results.set(key, { value, elements });
+
+        // Keep the most recent results of this kind
+        const kind = key.split('|')[0];
+        const sameKind = [...results.keys()].filter(resultKey => resultKey.split('|')[0] === kind);
+        sameKind.slice(0, Math.max(0, sameKind.length - this.maxDerived)).forEach(drop);
+
+        if (seen) {
+            this.addSize(owner, elements);
+            this.evict();
+        }
+    }
+
+    /**
+     * Drop every analysis of a buffer (e.g. when it is replaced)
+     * @param {Object} buffer - Audio buffer
+     */
+    invalidate(buffer) {
+        if (!buffer || !this.bufferIds.has(buffer)) return;
+        const prefix = `${this.bufferIds.get(buffer)}|`;
+        for (const id of [...this.entries.keys()]) {
+            if (id.startsWith(prefix)) this.delete(id);
+        }
+    }
+
+    /**
+     * Drop everything
+     */
+    clear() {
+        this.entries.clear();
+        this.sizes.clear();
+        this.counted.clear();
+        this.pinned.clear();
+        this.totalElements = 0;
+        this.derived = new WeakMap();
+        this.owners = new WeakMap();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalysisCache;
+}
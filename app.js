@@ -9,7 +9,44 @@ class App {
         this.audioB = null;
         this.outputBuffer = null;
         this.currentSource = null;
-        this.currentPlayingType = null; // 'A', 'B', or 'output'
+        this.currentPlayingType = null; // 'A', 'B', 'output', 'stage', 'componentA' or 'componentB'
+
+        // Slider values per operation, kept when switching between operations
+        this.operationParamValues = {};
+
+        // Envelopes per operation: {param, points, enabled}
+        this.automation = {};
+
+        // Band layout for multiband processing: crossovers (Hz, ascending) between
+        // bands, and each band's source with its own parameter values
+        this.multiband = {
+            crossovers: [500, 4000],
+            bands: [
+                { operation: 'multiply', params: {} },
+                { operation: 'passA', params: {} },
+                { operation: 'or', params: {} }
+            ]
+        };
+        this.outputMultiband = null; // Band layout of the displayed output, for its band edges
+        this.inputSpectrograms = { A: null, B: null }; // {frames, componentFrames, sampleRate, hopSeconds, windowSeconds, tempo} drawn for each input
+        this.componentBuffers = { A: null, B: null }; // Audio of each input's selected part (null for the full input)
+
+        // Chain mode: ordered stages, each reading 'A', 'B' or an earlier stage's index
+        this.chain = [
+            { operation: 'and', params: {}, inputA: 'A', inputB: 'B' },
+            { operation: 'aSquared', params: {}, inputA: 0, inputB: 'B' },
+            { operation: 'or', params: {}, inputA: 1, inputB: 'B' }
+        ];
+        this.outputStages = null; // Stage labels of the displayed output's chain
+        this.stageBuffer = null; // Audio of the stage shown in the stage panel
+
+        // Output level target per gain mode, and the slider range and unit of each
+        this.gainTargets = { peak: -0.5, rms: -18, lufs: -16 };
+        this.gainRanges = {
+            peak: { min: -24, max: 0, unit: 'dBFS' },
+            rms: { min: -40, max: -3, unit: 'dBFS' },
+            lufs: { min: -40, max: -3, unit: 'LUFS' }
+        };
 
         // UI Elements
         this.dropZoneA = document.getElementById('dropZoneA');
@@ -27,21 +64,111 @@ class App {
         this.exportBtn = document.getElementById('exportBtn');
 
         this.operationSelect = document.getElementById('operation');
+        this.operationGroup = document.getElementById('operationGroup');
+        this.operationModeSelect = document.getElementById('operationMode');
+        this.multibandPanel = document.getElementById('multibandPanel');
+        this.multibandTransitionSlider = document.getElementById('multibandTransition');
+        this.multibandTransitionValue = document.getElementById('multibandTransitionValue');
+        this.multibandBands = document.getElementById('multibandBands');
+        this.addBandBtn = document.getElementById('addBandBtn');
+        this.chainPanel = document.getElementById('chainPanel');
+        this.chainStages = document.getElementById('chainStages');
+        this.addStageBtn = document.getElementById('addStageBtn');
+        this.stagePanel = document.getElementById('stagePanel');
+        this.stageSelect = document.getElementById('stageSelect');
+        this.playStageBtn = document.getElementById('playStageBtn');
         this.phaseModeSelect = document.getElementById('phaseMode');
+        this.operationParamsContainer = document.getElementById('operationParams');
+        this.automationPanel = document.getElementById('automationPanel');
+        this.automationTitle = document.getElementById('automationTitle');
+        this.automationCheckbox = document.getElementById('automationEnabled');
+        this.envelopeEditor = new EnvelopeEditor(document.getElementById('automationCanvas'));
+        this.expressionInput = document.getElementById('expression');
+        this.expressionError = document.getElementById('expressionError');
+        this.expressionControls = document.querySelectorAll('.expression-control');
+        this.griffinLimInitSelect = document.getElementById('griffinLimInit');
+        this.griffinLimIterationsSlider = document.getElementById('griffinLimIterations');
+        this.griffinLimControls = document.querySelectorAll('.griffin-lim-control');
+        this.domainSelect = document.getElementById('domain');
+        this.domainSelectControls = document.querySelectorAll('.domain-select-control');
+        this.domainFloorSlider = document.getElementById('domainFloor');
+        this.domainExponentSlider = document.getElementById('domainExponent');
+        this.domainControls = document.querySelectorAll('.domain-control');
+        this.domainPowerControls = document.querySelectorAll('.domain-power-control');
+        this.pitchAlignSelect = document.getElementById('pitchAlign');
+        this.pitchSemitonesSlider = document.getElementById('pitchSemitones');
+        this.preserveFormantsCheckbox = document.getElementById('preserveFormants');
+        this.componentSelects = { A: document.getElementById('componentA'), B: document.getElementById('componentB') };
+        this.playComponentBtns = { A: document.getElementById('playComponentBtnA'), B: document.getElementById('playComponentBtnB') };
+        this.hpssHarmonicSlider = document.getElementById('hpssHarmonic');
+        this.hpssPercussiveSlider = document.getElementById('hpssPercussive');
+        this.hpssMarginSlider = document.getElementById('hpssMargin');
+        this.hpssControls = document.querySelectorAll('.hpss-control');
+        this.pitchControls = document.querySelectorAll('.pitch-control');
+        this.pitchManualControls = document.querySelectorAll('.pitch-manual-control');
+        this.channelModeSelect = document.getElementById('channelMode');
+        this.sampleRateSelect = document.getElementById('sampleRate');
         this.timeMatchCheckbox = document.getElementById('timeMatch');
-        this.windowSizeSelect = document.getElementById('windowSize');
+        this.targetLengthSelect = document.getElementById('targetLength');
+        this.lengthWeightSlider = document.getElementById('lengthWeight');
+        this.targetSecondsInput = document.getElementById('targetSeconds');
+        this.targetBarsInput = document.getElementById('targetBars');
+        this.targetBpmInput = document.getElementById('targetBpm');
+        this.beatsPerBarSelect = document.getElementById('beatsPerBar');
+        this.lengthWeightControls = document.querySelectorAll('.length-weight-control');
+        this.lengthSecondsControls = document.querySelectorAll('.length-seconds-control');
+        this.lengthBarsControls = document.querySelectorAll('.length-bars-control');
+        this.stretchModeSelect = document.getElementById('stretchMode');
+        this.phaseLockingCheckbox = document.getElementById('phaseLocking');
+        this.timeAlignSelect = document.getElementById('timeAlign');
+        this.alignFeatureSelect = document.getElementById('alignFeature');
+        this.dtwControls = document.querySelectorAll('.dtw-control');
+        this.preserveTransientsCheckbox = document.getElementById('preserveTransients');
+        this.transientSensitivitySlider = document.getElementById('transientSensitivity');
+        this.transientControls = document.querySelectorAll('.transient-control');
+        this.windowLengthInput = document.getElementById('windowLength');
+        this.windowUnitSelect = document.getElementById('windowUnit');
+        this.zeroPaddingSelect = document.getElementById('zeroPadding');
+        this.windowTypeSelect = document.getElementById('windowType');
+        this.kaiserBetaSlider = document.getElementById('kaiserBeta');
+        this.kaiserControls = document.querySelectorAll('.kaiser-control');
         this.overlapSlider = document.getElementById('overlap');
         this.playbackRateSlider = document.getElementById('playbackRate');
+        this.gainModeSelect = document.getElementById('gainMode');
+        this.gainTargetGroup = document.getElementById('gainTargetGroup');
+        this.gainTargetSlider = document.getElementById('gainTarget');
+        this.preventClippingCheckbox = document.getElementById('preventClipping');
+        this.dryMixSlider = document.getElementById('dryMix');
+        this.drySourceSelect = document.getElementById('drySource');
 
         // Value displays
         this.overlapValue = document.getElementById('overlapValue');
         this.playbackRateValue = document.getElementById('playbackRateValue');
+        this.playbackRateLimit = document.getElementById('playbackRateLimit');
+        this.gainTargetValue = document.getElementById('gainTargetValue');
+        this.gainTargetUnit = document.getElementById('gainTargetUnit');
+        this.dryMixValue = document.getElementById('dryMixValue');
+        this.griffinLimIterationsValue = document.getElementById('griffinLimIterationsValue');
+        this.domainFloorValue = document.getElementById('domainFloorValue');
+        this.domainExponentValue = document.getElementById('domainExponentValue');
+        this.pitchSemitonesValue = document.getElementById('pitchSemitonesValue');
+        this.hpssHarmonicValue = document.getElementById('hpssHarmonicValue');
+        this.hpssPercussiveValue = document.getElementById('hpssPercussiveValue');
+        this.hpssMarginValue = document.getElementById('hpssMarginValue');
+        this.transientSensitivityValue = document.getElementById('transientSensitivityValue');
+        this.lengthWeightValue = document.getElementById('lengthWeightValue');
+        this.tempoInfo = document.getElementById('tempoInfo');
+        this.kaiserBetaValue = document.getElementById('kaiserBetaValue');
+        this.windowLengthInfo = document.getElementById('windowLengthInfo');
+        this.windowWarning = document.getElementById('windowWarning');
+        this.processInfo = document.getElementById('processInfo');
 
         // Loading overlay
         this.loadingOverlay = document.getElementById('loadingOverlay');
         this.loadingText = document.getElementById('loadingText');
         this.progressFill = document.getElementById('progressFill');
         this.progressText = document.getElementById('progressText');
+        this.cancelBtn = document.getElementById('cancelBtn');
 
         this.init();
     }
@@ -52,6 +179,7 @@ class App {
     init() {
         // Initialize modules
         audioProcessor.init();
+        processorClient.init();
         visualizer.init();
 
         // Set up event listeners
@@ -117,7 +245,11 @@ class App {
         this.playBtnA.addEventListener('click', () => this.togglePlay('A'));
         this.playBtnB.addEventListener('click', () => this.togglePlay('B'));
         this.playBtn.addEventListener('click', () => this.togglePlay('output'));
+        this.playStageBtn.addEventListener('click', () => this.togglePlay('stage'));
+        this.playComponentBtns.A.addEventListener('click', () => this.togglePlay('componentA'));
+        this.playComponentBtns.B.addEventListener('click', () => this.togglePlay('componentB'));
         this.exportBtn.addEventListener('click', () => this.exportAudio());
+        this.cancelBtn.addEventListener('click', () => this.cancelProcessing());
     }
 
     /**
@@ -128,9 +260,844 @@ class App {
             this.overlapValue.textContent = e.target.value;
         });
 
+        this.griffinLimIterationsSlider.addEventListener('input', (e) => {
+            this.griffinLimIterationsValue.textContent = e.target.value;
+        });
+
+        this.domainFloorSlider.addEventListener('input', (e) => {
+            this.domainFloorValue.textContent = e.target.value;
+        });
+
+        this.domainExponentSlider.addEventListener('input', (e) => {
+            this.domainExponentValue.textContent = parseFloat(e.target.value).toFixed(2);
+        });
+
+        this.pitchSemitonesSlider.addEventListener('input', (e) => {
+            this.pitchSemitonesValue.textContent = parseFloat(e.target.value).toFixed(1);
+        });
+
+        this.hpssHarmonicSlider.addEventListener('input', (e) => {
+            this.hpssHarmonicValue.textContent = e.target.value;
+        });
+
+        this.hpssPercussiveSlider.addEventListener('input', (e) => {
+            this.hpssPercussiveValue.textContent = e.target.value;
+        });
+
+        this.hpssMarginSlider.addEventListener('input', (e) => {
+            this.hpssMarginValue.textContent = parseFloat(e.target.value).toFixed(1);
+        });
+
+        this.kaiserBetaSlider.addEventListener('input', (e) => {
+            this.kaiserBetaValue.textContent = parseFloat(e.target.value).toFixed(1);
+            this.updateWindowControls();
+        });
+
+        // Warn as soon as a window/overlap combination can't reconstruct cleanly
+        this.overlapSlider.addEventListener('input', () => this.updateWindowControls());
+        this.windowLengthInput.addEventListener('input', () => this.updateWindowControls());
+        this.windowUnitSelect.addEventListener('change', () => this.convertWindowUnit());
+        this.sampleRateSelect.addEventListener('change', () => this.updateWindowControls());
+        this.windowTypeSelect.addEventListener('change', () => this.updateWindowControls());
+        this.updateWindowControls();
+
+        // Parameter sliders (and automation envelope) for the selected operation
+        this.operationSelect.addEventListener('change', () => this.buildOperationControls());
+        this.automationCheckbox.addEventListener('change', () => {
+            const automation = this.automation[this.operationSelect.value];
+            if (automation) automation.enabled = this.automationCheckbox.checked;
+            this.buildOperationControls();
+        });
+        this.envelopeEditor.onChange = (points) => {
+            const automation = this.automation[this.operationSelect.value];
+            if (automation) automation.points = points;
+        };
+        this.buildOperationControls();
+
+        // Multiband and chain modes replace the single operation with bands or stages
+        this.operationModeSelect.addEventListener('change', () => this.updateOperationMode());
+        this.multibandTransitionSlider.addEventListener('input', (e) => {
+            this.multibandTransitionValue.textContent = parseFloat(e.target.value).toFixed(2);
+        });
+        this.addBandBtn.addEventListener('click', () => this.addBand());
+        this.addStageBtn.addEventListener('click', () => this.addStage());
+        this.stageSelect.addEventListener('change', () => this.showStage());
+        this.updateOperationMode();
+
+        // Formula input only for the expression operation, checked as it is typed
+        this.operationSelect.addEventListener('change', () => this.updateExpressionControls());
+        this.expressionInput.addEventListener('input', () => this.updateExpressionControls());
+        this.updateExpressionControls();
+
+        // Griffin-Lim settings only apply to the Griffin-Lim phase mode
+        this.phaseModeSelect.addEventListener('change', () => this.updateGriffinLimControls());
+        this.updateGriffinLimControls();
+
+        // Floor for the dB and power domains, exponent for the power domain only;
+        // none of them in the Complex Domain phase mode, which works on complex bins
+        this.domainSelect.addEventListener('change', () => this.updateDomainControls());
+        this.phaseModeSelect.addEventListener('change', () => this.updateDomainControls());
+        this.updateDomainControls();
+
+        // Semitones only for the manual pitch alignment
+        this.pitchAlignSelect.addEventListener('change', () => this.updatePitchControls());
+        this.updatePitchControls();
+
+        // The DTW feature only applies to DTW alignment
+        this.timeAlignSelect.addEventListener('change', () => this.updateAlignmentControls());
+        this.updateAlignmentControls();
+
+        // Settings of the selected target length; bars show the estimated tempo of each input
+        this.targetLengthSelect.addEventListener('change', () => this.updateLengthControls());
+        this.lengthWeightSlider.addEventListener('input', (e) => {
+            this.lengthWeightValue.textContent = parseFloat(e.target.value).toFixed(2);
+        });
+        this.beatsPerBarSelect.addEventListener('change', () => this.updateTempoInfo());
+        this.updateLengthControls();
+
+        // Onset sensitivity only while transients are kept; the onsets are marked on the input waveforms
+        this.preserveTransientsCheckbox.addEventListener('change', () => {
+            this.updateTransientControls();
+            ['A', 'B'].forEach(type => this.drawInputWaveform(type));
+        });
+        this.transientSensitivitySlider.addEventListener('input', (e) => {
+            this.transientSensitivityValue.textContent = e.target.value;
+        });
+        this.transientSensitivitySlider.addEventListener('change', () => {
+            ['A', 'B'].forEach(type => this.drawInputWaveform(type));
+        });
+        this.updateTransientControls();
+
+        // Each input's operand can be its harmonic, percussive or residual part, previewed on selection
+        ['A', 'B'].forEach(type => {
+            this.componentSelects[type].addEventListener('change', () => {
+                this.updateComponentControls();
+                this.showComponent(type);
+            });
+        });
+        [this.hpssHarmonicSlider, this.hpssPercussiveSlider, this.hpssMarginSlider].forEach(slider => {
+            slider.addEventListener('change', () => {
+                ['A', 'B'].filter(type => this.componentSelects[type].value !== 'full').forEach(type => this.showComponent(type));
+            });
+        });
+        this.updateComponentControls();
+
         this.playbackRateSlider.addEventListener('input', (e) => {
             this.playbackRateValue.textContent = parseFloat(e.target.value).toFixed(1);
         });
+
+        // Speed is part of the resynthesis, so re-stretch the output once the slider is released
+        this.playbackRateSlider.addEventListener('change', () => this.restretchOutput());
+
+        // Level and dry mix are applied at resynthesis too, so they update the output the same way
+        this.gainModeSelect.addEventListener('change', () => {
+            this.updateGainControls();
+            this.restretchOutput();
+        });
+        this.gainTargetSlider.addEventListener('input', () => {
+            this.gainTargets[this.gainModeSelect.value] = parseFloat(this.gainTargetSlider.value);
+            this.gainTargetValue.textContent = parseFloat(this.gainTargetSlider.value).toFixed(1);
+        });
+        this.dryMixSlider.addEventListener('input', (e) => {
+            this.dryMixValue.textContent = e.target.value;
+        });
+        [this.gainTargetSlider, this.preventClippingCheckbox, this.dryMixSlider, this.drySourceSelect].forEach(control => {
+            control.addEventListener('change', () => this.restretchOutput());
+        });
+        this.updateGainControls();
+    }
+
+    /**
+     * Limit the speed slider to the speeds the overlap allows: frames can't be spread
+     * further apart than a window, so below 50% overlap the slowest speed rises.
+     * Re-stretches the output if its speed had to be raised
+     */
+    updatePlaybackRateRange() {
+        const overlap = parseInt(this.overlapSlider.value);
+        const minRate = Math.max(0.5, Math.ceil(audioProcessor.getMinPlaybackRate(this.getWindowSize(), overlap) * 10 - 1e-9) / 10);
+        const previous = parseFloat(this.playbackRateSlider.value);
+
+        this.playbackRateSlider.min = minRate;
+        if (previous < minRate) this.playbackRateSlider.value = minRate;
+        this.playbackRateValue.textContent = parseFloat(this.playbackRateSlider.value).toFixed(1);
+        this.playbackRateLimit.textContent = minRate > 0.5 ? `(min ${minRate.toFixed(1)}x at ${overlap}% overlap)` : '';
+
+        if (previous < minRate) this.restretchOutput();
+    }
+
+    /**
+     * Set the target slider to the range, unit and value of the selected gain mode
+     * (matching A's loudness has no target)
+     */
+    updateGainControls() {
+        const mode = this.gainModeSelect.value;
+        const range = this.gainRanges[mode];
+        this.gainTargetGroup.style.display = range ? '' : 'none';
+        if (!range) return;
+
+        this.gainTargetSlider.min = range.min;
+        this.gainTargetSlider.max = range.max;
+        this.gainTargetSlider.value = this.gainTargets[mode];
+        this.gainTargetValue.textContent = this.gainTargets[mode].toFixed(1);
+        this.gainTargetUnit.textContent = range.unit;
+    }
+
+    /**
+     * Read the output level and dry mix settings from the controls
+     * @returns {Object} {gainMode, gainTarget, preventClipping, dryMix, drySource}
+     */
+    getOutputSettings() {
+        const gainMode = this.gainModeSelect.value;
+        return {
+            gainMode,
+            gainTarget: this.gainTargets[gainMode],
+            preventClipping: this.preventClippingCheckbox.checked,
+            dryMix: parseInt(this.dryMixSlider.value),
+            drySource: this.drySourceSelect.value
+        };
+    }
+
+    /**
+     * Show the domain (except in the Complex Domain phase mode, which ignores it),
+     * the floor for the dB and power domains and γ for the power domain
+     */
+    updateDomainControls() {
+        const complex = this.phaseModeSelect.value === 'complex';
+        const domain = complex ? 'linear' : this.domainSelect.value;
+        this.domainSelectControls.forEach(control => {
+            control.style.display = complex ? 'none' : '';
+        });
+        this.domainControls.forEach(control => {
+            control.style.display = domain === 'linear' ? 'none' : '';
+        });
+        this.domainPowerControls.forEach(control => {
+            control.style.display = domain === 'power' ? '' : 'none';
+        });
+    }
+
+    /**
+     * Show the pitch alignment settings that apply to the selected mode
+     */
+    updatePitchControls() {
+        const mode = this.pitchAlignSelect.value;
+        this.pitchControls.forEach(control => {
+            control.style.display = mode === 'off' ? 'none' : '';
+        });
+        this.pitchManualControls.forEach(control => {
+            control.style.display = mode === 'manual' ? '' : 'none';
+        });
+    }
+
+    /**
+     * Show the DTW feature while DTW alignment is selected
+     */
+    updateAlignmentControls() {
+        const dtw = this.timeAlignSelect.value === 'dtw';
+        this.dtwControls.forEach(control => {
+            control.style.display = dtw ? '' : 'none';
+        });
+    }
+
+    /**
+     * Show the settings of the selected target length
+     */
+    updateLengthControls() {
+        const mode = this.targetLengthSelect.value;
+        const show = (controls, visible) => controls.forEach(control => {
+            control.style.display = visible ? '' : 'none';
+        });
+        show(this.lengthWeightControls, mode === 'weighted');
+        show(this.lengthSecondsControls, mode === 'seconds');
+        show(this.lengthBarsControls, mode === 'bars');
+        this.updateTempoInfo();
+    }
+
+    /**
+     * Show the estimated tempo and bar count of each input next to the bar settings
+     * (estimated on the selected part, as in processing, and kept until it changes).
+     * B's tempo is folded to the octave nearest A's, as in AudioProcessor.getTargetLength
+     */
+    updateTempoInfo() {
+        if (this.targetLengthSelect.value !== 'bars') return;
+
+        const tempos = {};
+        ['A', 'B'].filter(type => this.inputSpectrograms[type]).forEach(type => {
+            const spectrogram = this.inputSpectrograms[type];
+            if (spectrogram.tempo === undefined) {
+                spectrogram.tempo = Tempo.estimate(spectrogram.componentFrames || spectrogram.frames, spectrogram.hopSeconds);
+            }
+            tempos[type] = spectrogram.tempo ? spectrogram.tempo.bpm : null;
+        });
+        if (tempos.A && tempos.B) tempos.B = Tempo.fold(tempos.B, tempos.A);
+
+        const beatsPerBar = parseInt(this.beatsPerBarSelect.value);
+        const notes = Object.keys(tempos).map(type => {
+            if (!tempos[type]) return `${type} ?`;
+            const buffer = type === 'A' ? this.audioA : this.audioB;
+            const bars = Tempo.bars(buffer.duration, tempos[type], beatsPerBar);
+            return `${type} ${tempos[type].toFixed(1)} BPM, ${bars.toFixed(1)} bars`;
+        });
+        this.tempoInfo.textContent = notes.length > 0 ? `(${notes.join(' · ')})` : '';
+    }
+
+    /**
+     * Show the onset sensitivity while transients are kept
+     */
+    updateTransientControls() {
+        const preserve = this.preserveTransientsCheckbox.checked;
+        this.transientControls.forEach(control => {
+            control.style.display = preserve ? '' : 'none';
+        });
+    }
+
+    /**
+     * Show the separation settings while either input uses a separated part
+     */
+    updateComponentControls() {
+        const separated = ['A', 'B'].some(type => this.componentSelects[type].value !== 'full');
+        this.hpssControls.forEach(control => {
+            control.style.display = separated ? '' : 'none';
+        });
+    }
+
+    /**
+     * Show the Griffin-Lim controls only when that phase mode is selected
+     */
+    updateGriffinLimControls() {
+        const visible = this.phaseModeSelect.value === 'griffinLim';
+        this.griffinLimControls.forEach(control => {
+            control.style.display = visible ? '' : 'none';
+        });
+    }
+
+    /**
+     * Build a slider for every parameter of the selected operation (see FFTOperations.schema)
+     */
+    buildOperationControls() {
+        const operation = this.operationSelect.value;
+        const schema = FFTOperations.schema[operation] || [];
+        const values = this.operationParamValues[operation] || (this.operationParamValues[operation] = {});
+        const automation = this.automation[operation];
+
+        this.operationParamsContainer.innerHTML = '';
+        schema.forEach(param => {
+            if (values[param.name] === undefined) values[param.name] = param.default;
+
+            const id = `param-${operation}-${param.name}`;
+            const group = document.createElement('div');
+            group.className = 'control-group';
+
+            if (param.options) {
+                group.append(...this.createParamSelect(param, id, values));
+            } else {
+                // An automated parameter follows its envelope instead
+                const automated = !!(automation && automation.enabled && automation.param === param.name);
+                group.append(...this.createParamSlider(param, id, values, automated));
+            }
+            this.operationParamsContainer.appendChild(group);
+        });
+
+        this.updateAutomationControls();
+    }
+
+    /**
+     * Create a labelled slider for a numeric operation parameter
+     * @param {Object} param - Schema entry
+     * @param {string} id - Element id
+     * @param {Object} values - Parameter values of the operation (updated on input)
+     * @param {boolean} disabled - Whether the slider is inactive (automated)
+     * @returns {HTMLElement[]} [label, slider]
+     */
+    createParamSlider(param, id, values, disabled) {
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        const valueDisplay = document.createElement('span');
+        label.append(`${param.label} `, valueDisplay, param.unit ? ` ${param.unit}` : '');
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.id = id;
+        slider.min = param.min;
+        slider.max = param.max;
+        slider.step = param.step;
+        slider.value = values[param.name];
+        slider.disabled = disabled;
+
+        const decimals = (String(param.step).split('.')[1] || '').length;
+        const showValue = () => {
+            valueDisplay.textContent = parseFloat(slider.value).toFixed(decimals);
+        };
+        slider.addEventListener('input', () => {
+            values[param.name] = parseFloat(slider.value);
+            showValue();
+        });
+        showValue();
+
+        return [label, slider];
+    }
+
+    /**
+     * Create a labelled select for a choice operation parameter
+     * @param {Object} param - Schema entry with options
+     * @param {string} id - Element id
+     * @param {Object} values - Parameter values of the operation (updated on change)
+     * @returns {HTMLElement[]} [label, select]
+     */
+    createParamSelect(param, id, values) {
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.textContent = param.label;
+
+        const select = document.createElement('select');
+        select.id = id;
+        param.options.forEach(option => {
+            select.appendChild(new Option(option.label, option.value));
+        });
+        select.value = values[param.name];
+        select.addEventListener('change', () => {
+            values[param.name] = select.value;
+        });
+
+        return [label, select];
+    }
+
+    /**
+     * Create a control group per parameter of an operation (see FFTOperations.schema)
+     * @param {string} operation - Operation key
+     * @param {string} idPrefix - Prefix for the element ids
+     * @param {Object} values - Parameter values (defaults filled in, updated on input)
+     * @returns {HTMLElement[]}
+     */
+    createParamGroups(operation, idPrefix, values) {
+        return (FFTOperations.schema[operation] || []).map(param => {
+            if (values[param.name] === undefined) values[param.name] = param.default;
+
+            const id = `${idPrefix}-${param.name}`;
+            const group = document.createElement('div');
+            group.className = 'control-group';
+            group.append(...(param.options
+                ? this.createParamSelect(param, id, values)
+                : this.createParamSlider(param, id, values, false)));
+            return group;
+        });
+    }
+
+    /**
+     * Create a labelled select of every operation (plus any extra sources)
+     * @param {string} id - Element id
+     * @param {string} label - Label text
+     * @param {string} value - Selected operation
+     * @param {Object} extra - {value: label} options listed before the operations
+     * @returns {HTMLElement} Control group
+     */
+    createOperationSelect(id, label, value, extra = {}) {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+        const labelElement = document.createElement('label');
+        labelElement.htmlFor = id;
+        labelElement.textContent = label;
+
+        const select = document.createElement('select');
+        select.id = id;
+        Object.entries(extra).forEach(([optionValue, optionLabel]) => {
+            select.appendChild(new Option(optionLabel, optionValue));
+        });
+        Array.from(this.operationSelect.options).forEach(option => {
+            select.appendChild(new Option(option.textContent, option.value));
+        });
+        select.value = value;
+
+        group.append(labelElement, select);
+        return group;
+    }
+
+    /**
+     * Switch between the single operation, the band editor and the chain editor
+     */
+    updateOperationMode() {
+        const mode = this.operationModeSelect.value;
+        this.multibandPanel.style.display = mode === 'multiband' ? '' : 'none';
+        this.chainPanel.style.display = mode === 'chain' ? '' : 'none';
+        this.operationGroup.style.display = mode === 'single' ? '' : 'none';
+        this.operationParamsContainer.style.display = mode === 'single' ? '' : 'none';
+
+        this.buildBandControls();
+        this.buildChainControls();
+        this.updateAutomationControls();
+        this.updateExpressionControls();
+    }
+
+    /**
+     * Build a row per band (frequency range, source and its parameters) with
+     * the crossover frequency between each pair of rows
+     */
+    buildBandControls() {
+        const { crossovers, bands } = this.multiband;
+        const formatFreq = freq => freq >= 1000 ? `${+(freq / 1000).toFixed(2)} kHz` : `${freq} Hz`;
+
+        this.multibandBands.innerHTML = '';
+        bands.forEach((band, index) => {
+            const row = document.createElement('div');
+            row.className = 'band-row';
+
+            const range = document.createElement('span');
+            range.className = 'band-range';
+            if (index === 0) {
+                range.textContent = `Band 1 · below ${formatFreq(crossovers[0])}`;
+            } else if (index === bands.length - 1) {
+                range.textContent = `Band ${index + 1} · above ${formatFreq(crossovers[index - 1])}`;
+            } else {
+                range.textContent = `Band ${index + 1} · ${formatFreq(crossovers[index - 1])}–${formatFreq(crossovers[index])}`;
+            }
+            row.appendChild(range);
+
+            // Source: pass an input through, or any operation from the main list
+            const sourceGroup = this.createOperationSelect(`band-${index}-source`, 'Source', band.operation, Multiband.passThrough);
+            const source = sourceGroup.querySelector('select');
+            source.addEventListener('change', () => {
+                band.operation = source.value;
+                band.params = {};
+                this.buildBandControls();
+                this.updateExpressionControls();
+            });
+            row.appendChild(sourceGroup);
+
+            row.append(...this.createParamGroups(band.operation, `band-${index}`, band.params));
+            this.multibandBands.appendChild(row);
+
+            if (index < crossovers.length) {
+                this.multibandBands.appendChild(this.createCrossoverRow(index));
+            }
+        });
+    }
+
+    /**
+     * Create the editor for one crossover frequency
+     * @param {number} index - Crossover index (between band index and index + 1)
+     * @returns {HTMLElement}
+     */
+    createCrossoverRow(index) {
+        const row = document.createElement('div');
+        row.className = 'crossover-row';
+
+        const id = `crossover-${index}`;
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.textContent = 'Crossover';
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.id = id;
+        input.min = 20;
+        input.max = 48000;
+        input.step = 1;
+        input.value = this.multiband.crossovers[index];
+        input.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            if (!(value > 0)) {
+                input.value = this.multiband.crossovers[index];
+                return;
+            }
+            // Keep the crossovers ascending so each band stays between its neighbours
+            const crossovers = this.multiband.crossovers;
+            const lower = index > 0 ? crossovers[index - 1] + 1 : 1;
+            const upper = index < crossovers.length - 1 ? crossovers[index + 1] - 1 : Infinity;
+            crossovers[index] = Math.round(Math.min(upper, Math.max(lower, value)));
+            this.buildBandControls();
+        });
+
+        const remove = document.createElement('button');
+        remove.className = 'btn btn-small btn-secondary';
+        remove.textContent = '×';
+        remove.title = 'Remove this crossover (merges the band above into the one below)';
+        remove.disabled = this.multiband.crossovers.length <= 1;
+        remove.addEventListener('click', () => {
+            this.multiband.crossovers.splice(index, 1);
+            this.multiband.bands.splice(index + 1, 1);
+            this.buildBandControls();
+            this.updateExpressionControls();
+        });
+
+        row.append(label, input, 'Hz', remove);
+        return row;
+    }
+
+    /**
+     * Split the top band an octave above its lower edge
+     */
+    addBand() {
+        const crossovers = this.multiband.crossovers;
+        const last = crossovers[crossovers.length - 1];
+        const nyquist = Math.round(this.getProcessingSampleRate() / 2);
+        crossovers.push(Math.max(last + 1, Math.min(nyquist - 1, last * 2)));
+        this.multiband.bands.push({ operation: 'passA', params: {} });
+        this.buildBandControls();
+    }
+
+    /**
+     * Get the band layout to process with, if multiband is enabled
+     * @returns {Object|null} {crossovers, transition, bands: [{operation, params}]}
+     */
+    getMultiband() {
+        if (this.operationModeSelect.value !== 'multiband') return null;
+        return {
+            crossovers: this.multiband.crossovers.slice(),
+            transition: parseFloat(this.multibandTransitionSlider.value),
+            bands: this.multiband.bands.map(band => ({ operation: band.operation, params: { ...band.params } }))
+        };
+    }
+
+    /**
+     * Build a row per chain stage: its operation, where its A and B inputs come
+     * from (the loaded files or an earlier stage) and its parameters
+     */
+    buildChainControls() {
+        this.chainStages.innerHTML = '';
+        this.chain.forEach((stage, index) => {
+            const row = document.createElement('div');
+            row.className = 'band-row';
+
+            const title = document.createElement('span');
+            title.className = 'band-range';
+            title.textContent = index === this.chain.length - 1 ? `Stage ${index + 1} · output` : `Stage ${index + 1}`;
+            row.appendChild(title);
+
+            const operationGroup = this.createOperationSelect(`stage-${index}-operation`, 'Operation', stage.operation);
+            const operation = operationGroup.querySelector('select');
+            operation.addEventListener('change', () => {
+                stage.operation = operation.value;
+                stage.params = {};
+                this.buildChainControls();
+                this.updateExpressionControls();
+            });
+            row.appendChild(operationGroup);
+
+            ['inputA', 'inputB'].forEach(key => {
+                row.appendChild(this.createStageInputSelect(stage, index, key));
+            });
+
+            row.append(...this.createParamGroups(stage.operation, `stage-${index}`, stage.params));
+
+            const remove = document.createElement('button');
+            remove.className = 'btn btn-small btn-secondary';
+            remove.textContent = '×';
+            remove.title = 'Remove this stage';
+            remove.disabled = this.chain.length <= 1;
+            remove.addEventListener('click', () => this.removeStage(index));
+            row.appendChild(remove);
+
+            this.chainStages.appendChild(row);
+        });
+    }
+
+    /**
+     * Create the select for one input of a stage: A, B or any earlier stage
+     * @param {Object} stage - Chain stage (updated on change)
+     * @param {number} index - Stage index
+     * @param {string} key - 'inputA' or 'inputB'
+     * @returns {HTMLElement} Control group
+     */
+    createStageInputSelect(stage, index, key) {
+        const id = `stage-${index}-${key}`;
+        const group = document.createElement('div');
+        group.className = 'control-group';
+        const label = document.createElement('label');
+        label.htmlFor = id;
+        label.textContent = key === 'inputA' ? 'Input A' : 'Input B';
+
+        const select = document.createElement('select');
+        select.id = id;
+        select.appendChild(new Option('Audio A', 'A'));
+        select.appendChild(new Option('Audio B', 'B'));
+        for (let i = 0; i < index; i++) {
+            select.appendChild(new Option(`Stage ${i + 1}`, String(i)));
+        }
+        select.value = String(stage[key]);
+        select.addEventListener('change', () => {
+            stage[key] = select.value === 'A' || select.value === 'B' ? select.value : parseInt(select.value);
+        });
+
+        group.append(label, select);
+        return group;
+    }
+
+    /**
+     * Append a stage that processes the current last stage against B
+     */
+    addStage() {
+        this.chain.push({ operation: 'multiply', params: {}, inputA: this.chain.length - 1, inputB: 'B' });
+        this.buildChainControls();
+    }
+
+    /**
+     * Remove a stage; later stages that read it take its A input instead
+     * @param {number} index - Stage index
+     */
+    removeStage(index) {
+        const removed = this.chain.splice(index, 1)[0];
+        const remap = input => {
+            if (input === index) return removed.inputA;
+            return Number.isInteger(input) && input > index ? input - 1 : input;
+        };
+        this.chain.forEach(stage => {
+            stage.inputA = remap(stage.inputA);
+            stage.inputB = remap(stage.inputB);
+        });
+        this.buildChainControls();
+        this.updateExpressionControls();
+    }
+
+    /**
+     * Get the chain to process with, if chain mode is selected
+     * @returns {Array|null} [{operation, params, inputA, inputB}]
+     */
+    getPipeline() {
+        if (this.operationModeSelect.value !== 'chain') return null;
+        return this.chain.map(stage => ({
+            operation: stage.operation,
+            params: { ...stage.params },
+            inputA: stage.inputA,
+            inputB: stage.inputB
+        }));
+    }
+
+    /**
+     * Describe a stage for the stage picker, e.g. "Stage 2: A² (Stage 1, B)"
+     * @param {Object} stage - Chain stage
+     * @param {number} index - Stage index
+     * @returns {string}
+     */
+    getStageLabel(stage, index) {
+        const option = Array.from(this.operationSelect.options).find(o => o.value === stage.operation);
+        const name = option ? option.textContent : stage.operation;
+        const input = value => Number.isInteger(value) ? `Stage ${value + 1}` : value;
+        return `Stage ${index + 1}: ${name} (${input(stage.inputA)}, ${input(stage.inputB)})`;
+    }
+
+    /**
+     * Show the envelope editor for the selected operation's automatable parameter
+     * (only in single operation mode; bands and stages have their own parameters)
+     */
+    updateAutomationControls() {
+        const operation = this.operationSelect.value;
+        const param = this.operationModeSelect.value === 'single' && (FFTOperations.schema[operation] || []).find(p => p.automatable);
+        this.automationPanel.style.display = param ? '' : 'none';
+        if (!param) return;
+
+        // Start with a ramp across the parameter's range (e.g. A to B for morphs)
+        if (!this.automation[operation]) {
+            this.automation[operation] = {
+                param: param.name,
+                points: [{ time: 0, value: param.min }, { time: 1, value: param.max }],
+                enabled: false
+            };
+        }
+        const automation = this.automation[operation];
+
+        this.automationTitle.textContent = `Automation: ${param.label}`;
+        this.automationCheckbox.checked = automation.enabled;
+        this.automationPanel.classList.toggle('disabled', !automation.enabled);
+        this.envelopeEditor.setEnvelope(automation.points, param.min, param.max);
+        this.envelopeEditor.resize();
+    }
+
+    /**
+     * Get the enabled envelopes of the selected operation
+     * @returns {Object} {paramName: [{time, value}]}
+     */
+    getAutomation() {
+        if (this.operationModeSelect.value !== 'single') return {};
+        const automation = this.automation[this.operationSelect.value];
+        return automation && automation.enabled ? { [automation.param]: automation.points } : {};
+    }
+
+    /**
+     * Show the formula input for the expression operation and report syntax errors inline
+     * @returns {boolean} False if the expression operation is in use and its formula is invalid
+     */
+    updateExpressionControls() {
+        const mode = this.operationModeSelect.value;
+        let operations = [this.operationSelect.value];
+        if (mode === 'multiband') operations = this.multiband.bands.map(band => band.operation);
+        if (mode === 'chain') operations = this.chain.map(stage => stage.operation);
+        const visible = operations.includes('expression');
+        this.expressionControls.forEach(control => {
+            control.style.display = visible ? '' : 'none';
+        });
+
+        const source = this.expressionInput.value;
+        const error = visible ? SpectralExpression.validate(source) : null;
+        this.expressionInput.classList.toggle('invalid', !!error);
+
+        // Point a caret at the offending character under the formula
+        this.expressionError.textContent = error
+            ? `${source}\n${' '.repeat(error.position || 0)}^ ${error.message}`
+            : '';
+
+        return !error;
+    }
+
+    /**
+     * Show the Kaiser beta only for the Kaiser window and check reconstruction
+     */
+    updateWindowControls() {
+        const windowType = this.windowTypeSelect.value;
+        this.kaiserControls.forEach(control => {
+            control.style.display = windowType === 'kaiser' ? '' : 'none';
+        });
+
+        const windowSize = this.getWindowSize();
+        const sampleRate = this.getProcessingSampleRate();
+        this.windowLengthInfo.textContent = this.windowUnitSelect.value === 'ms'
+            ? `(${windowSize} samples)`
+            : `(${(windowSize / sampleRate * 1000).toFixed(1)} ms)`;
+
+        const hopSize = Math.floor(windowSize * (1 - parseInt(this.overlapSlider.value) / 100));
+        const warning = Windows.getReconstructionWarning(windowType, windowSize, hopSize, parseFloat(this.kaiserBetaSlider.value));
+        this.windowWarning.textContent = warning || '';
+
+        this.updatePlaybackRateRange();
+    }
+
+    /**
+     * Get the sample rate processing will run at (selected, A's, or the context default)
+     * @returns {number}
+     */
+    getProcessingSampleRate() {
+        if (this.sampleRateSelect.value !== 'auto') {
+            return parseInt(this.sampleRateSelect.value);
+        }
+        if (this.audioA) {
+            return this.audioA.sampleRate;
+        }
+        return audioProcessor.audioContext ? audioProcessor.audioContext.sampleRate : 44100;
+    }
+
+    /**
+     * Get the analysis frame length in samples from the window length input
+     * @returns {number} Frame length (any size, 32-65536)
+     */
+    getWindowSize() {
+        const value = parseFloat(this.windowLengthInput.value) || 0;
+        const samples = this.windowUnitSelect.value === 'ms'
+            ? value * this.getProcessingSampleRate() / 1000
+            : value;
+        return Math.min(65536, Math.max(32, Math.round(samples)));
+    }
+
+    /**
+     * Keep the same window length when switching between samples and milliseconds
+     */
+    convertWindowUnit() {
+        const sampleRate = this.getProcessingSampleRate();
+        const value = parseFloat(this.windowLengthInput.value) || 0;
+        const converted = this.windowUnitSelect.value === 'ms'
+            ? value / sampleRate * 1000
+            : value * sampleRate / 1000;
+        this.windowLengthInput.value = this.windowUnitSelect.value === 'ms'
+            ? converted.toFixed(1)
+            : Math.round(converted);
+        this.updateWindowControls();
     }
 
     /**
@@ -192,13 +1159,14 @@ class App {
 
             if (type === 'A') {
                 this.audioA = audioBuffer;
-                audioProcessor.setAudioA(audioBuffer);
+                await processorClient.setAudio('A', audioBuffer);
                 this.fileNameA.textContent = file.name;
                 this.dropZoneA.classList.add('active');
                 this.playBtnA.disabled = false;
+                this.updateWindowControls(); // Millisecond lengths depend on A's rate
             } else {
                 this.audioB = audioBuffer;
-                audioProcessor.setAudioB(audioBuffer);
+                await processorClient.setAudio('B', audioBuffer);
                 this.fileNameB.textContent = file.name;
                 this.dropZoneB.classList.add('active');
                 this.playBtnB.disabled = false;
@@ -222,15 +1190,25 @@ class App {
 
             console.log('Computing spectrogram...');
             const spectrogramStart = performance.now();
-            // Generate spectrogram with reduced resolution for faster display
-            const spectrogramFrames = audioProcessor.performSTFT(audioBuffer, 2048, 50);
+            // Analyse with the current processing settings: the analysis is cached,
+            // so the next PROCESS run starts from it instead of recomputing it
+            const settings = this.getProcessSettings();
+            const spectrogramFrames = await processorClient.analyze(type, settings.windowSize, settings.overlap, settings.options);
             console.log('Spectrogram computed in', performance.now() - spectrogramStart, 'ms,', spectrogramFrames.length, 'frames');
 
-            visualizer.drawSpectrogram(
-                type === 'A' ? 'spectrogramA' : 'spectrogramB',
-                spectrogramFrames,
-                audioBuffer.sampleRate
-            );
+            const sampleRate = settings.options.sampleRate || (this.audioA || audioBuffer).sampleRate;
+            this.inputSpectrograms[type] = {
+                frames: spectrogramFrames,
+                componentFrames: null,
+                sampleRate,
+                hopSeconds: Math.floor(settings.windowSize * (1 - settings.overlap / 100)) / sampleRate,
+                windowSeconds: settings.windowSize / sampleRate
+            };
+            if (this.componentSelects[type].value !== 'full') {
+                this.loadingText.textContent = 'Separating harmonic and percussive parts...';
+                await this.yieldToUI();
+            }
+            await this.loadComponent(type); // Also draws the spectrogram, without the last run's (outdated) pitches and path
             console.log('Spectrogram drawn');
 
             // Enable process button if both files loaded
@@ -250,6 +1228,59 @@ class App {
         }
     }
 
+    /**
+     * Read the processing settings from the controls
+     * @returns {Object} {operation, phaseMode, windowSize, overlap, timeMatch, options}
+     */
+    getProcessSettings() {
+        return {
+            operation: this.operationSelect.value,
+            phaseMode: this.phaseModeSelect.value,
+            windowSize: this.getWindowSize(),
+            overlap: parseInt(this.overlapSlider.value),
+            timeMatch: this.timeMatchCheckbox.checked,
+            options: {
+                targetLength: this.targetLengthSelect.value,
+                lengthWeight: parseFloat(this.lengthWeightSlider.value),
+                targetSeconds: parseFloat(this.targetSecondsInput.value),
+                targetBars: parseInt(this.targetBarsInput.value) || null,
+                targetBpm: parseFloat(this.targetBpmInput.value) || null,
+                beatsPerBar: parseInt(this.beatsPerBarSelect.value),
+                channelMode: this.channelModeSelect.value,
+                sampleRate: this.sampleRateSelect.value === 'auto' ? null : parseInt(this.sampleRateSelect.value),
+                playbackRate: parseFloat(this.playbackRateSlider.value),
+                stretchMode: this.stretchModeSelect.value,
+                phaseLocking: this.phaseLockingCheckbox.checked,
+                timeAlign: this.timeAlignSelect.value,
+                alignFeature: this.alignFeatureSelect.value,
+                preserveTransients: this.preserveTransientsCheckbox.checked,
+                transientSensitivity: parseInt(this.transientSensitivitySlider.value),
+                griffinLimInit: this.griffinLimInitSelect.value,
+                griffinLimIterations: parseInt(this.griffinLimIterationsSlider.value),
+                domain: this.domainSelect.value,
+                domainFloor: parseInt(this.domainFloorSlider.value),
+                domainExponent: parseFloat(this.domainExponentSlider.value),
+                pitchAlign: this.pitchAlignSelect.value,
+                pitchSemitones: parseFloat(this.pitchSemitonesSlider.value),
+                preserveFormants: this.preserveFormantsCheckbox.checked,
+                componentA: this.componentSelects.A.value,
+                componentB: this.componentSelects.B.value,
+                hpssHarmonic: parseInt(this.hpssHarmonicSlider.value),
+                hpssPercussive: parseInt(this.hpssPercussiveSlider.value),
+                hpssMargin: parseFloat(this.hpssMarginSlider.value),
+                windowType: this.windowTypeSelect.value,
+                kaiserBeta: parseFloat(this.kaiserBetaSlider.value),
+                zeroPadding: parseInt(this.zeroPaddingSelect.value),
+                operationParams: { ...this.operationParamValues[this.operationSelect.value] },
+                automation: this.getAutomation(),
+                multiband: this.getMultiband(),
+                pipeline: this.getPipeline(),
+                expression: this.expressionInput.value,
+                ...this.getOutputSettings()
+            }
+        };
+    }
+
     /**
      * Process audio with selected operation
      */
@@ -258,15 +1289,15 @@ class App {
             alert('Please load both audio files first');
             return;
         }
+        if (!this.updateExpressionControls()) {
+            this.expressionInput.focus();
+            return;
+        }
 
         try {
-            this.showLoading(true);
+            this.showLoading(true, true);
 
-            const operation = this.operationSelect.value;
-            const phaseMode = this.phaseModeSelect.value;
-            const timeMatch = this.timeMatchCheckbox.checked;
-            const windowSize = parseInt(this.windowSizeSelect.value);
-            const overlap = parseInt(this.overlapSlider.value);
+            const { operation, phaseMode, windowSize, overlap, timeMatch, options } = this.getProcessSettings();
 
             // Progress callback
             const updateProgress = (percent, message) => {
@@ -276,26 +1307,29 @@ class App {
             };
 
             // Process audio with progress updates
-            this.outputBuffer = await audioProcessor.process(
+            this.outputBuffer = await processorClient.process(
                 operation,
                 phaseMode,
                 windowSize,
                 overlap,
                 timeMatch,
-                updateProgress
+                updateProgress,
+                options
             );
+            this.cancelBtn.style.display = 'none'; // Too late to cancel
+            this.outputMultiband = Multiband.normalize(options.multiband, this.outputBuffer.sampleRate);
+            this.outputStages = options.pipeline
+                ? options.pipeline.map((stage, index) => this.getStageLabel(stage, index))
+                : null;
+
+            this.showProcessInfo();
 
             // Update visualizations
             updateProgress(90, 'Updating visualizations...');
-
-            // Draw output waveform
-            visualizer.drawWaveform('waveformOutput', this.outputBuffer);
-
-            // Draw output spectrogram
-            const frames = audioProcessor.getFrames();
-            if (frames.outputFrames.length > 0) {
-                visualizer.drawSpectrogram('spectrogramOutput', frames.outputFrames, this.outputBuffer.sampleRate);
-            }
+            this.drawOutput();
+            this.drawInputSpectrogram('A');
+            this.drawInputSpectrogram('B');
+            await this.updateStagePanel();
 
             // Enable playback and export
             this.playBtn.disabled = false;
@@ -306,15 +1340,293 @@ class App {
 
             console.log('Audio processing complete');
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('Audio processing cancelled');
+                this.showLoading(false);
+                return;
+            }
             console.error('Error processing audio:', error);
             alert('Error processing audio: ' + error.message);
             this.showLoading(false);
         }
     }
 
+    /**
+     * Resynthesize the processed output with the current speed, level and dry mix settings
+     */
+    async restretchOutput() {
+        if (!this.outputBuffer) return;
+
+        const playbackRate = parseFloat(this.playbackRateSlider.value);
+        if (this.currentPlayingType === 'output' || this.currentPlayingType === 'stage') {
+            this.stopAudio();
+        }
+
+        try {
+            this.showLoading(true, true);
+            this.loadingText.textContent = `Resynthesizing at ${playbackRate.toFixed(1)}x...`;
+            await this.yieldToUI();
+
+            this.outputBuffer = await processorClient.restretch(playbackRate, (percent, message) => {
+                this.loadingText.textContent = message;
+                this.progressFill.style.width = `${percent}%`;
+                this.progressText.textContent = `${percent}%`;
+            }, this.getOutputSettings());
+            this.showProcessInfo();
+            this.drawOutput();
+            if (this.outputStages) await this.showStage();
+
+            this.showLoading(false);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('Time-stretch cancelled');
+                this.showLoading(false);
+                return;
+            }
+            console.error('Error time-stretching audio:', error);
+            alert('Error time-stretching audio: ' + error.message);
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Draw the output waveform and spectrogram
+     */
+    drawOutput() {
+        // Draw output waveform
+        visualizer.drawWaveform('waveformOutput', this.outputBuffer);
+        visualizer.drawTimeAxis('waveformOutput', this.outputBuffer.duration);
+        this.envelopeEditor.setDuration(this.outputBuffer.duration);
+
+        // Draw output spectrogram
+        const frames = processorClient.getFrames();
+        if (frames.outputFrames.length > 0) {
+            visualizer.drawSpectrogram('spectrogramOutput', frames.outputFrames, this.outputBuffer.sampleRate);
+            visualizer.drawTimeAxis('spectrogramOutput', this.outputBuffer.duration);
+
+            // Band edges, shaded over their transitions
+            if (this.outputMultiband) {
+                const halfWidth = Math.pow(2, this.outputMultiband.transition / 2);
+                visualizer.drawFrequencyMarkers('spectrogramOutput', this.outputMultiband.crossovers.map(freq => ({
+                    freq,
+                    low: freq / halfWidth,
+                    high: freq * halfWidth
+                })));
+            }
+        }
+    }
+
+    /**
+     * Show the stage picker after a chain run (hidden otherwise)
+     */
+    async updateStagePanel() {
+        if (this.currentPlayingType === 'stage') this.stopAudio();
+        this.stagePanel.style.display = this.outputStages ? '' : 'none';
+        this.stageBuffer = null;
+        if (!this.outputStages) return;
+
+        this.stageSelect.innerHTML = '';
+        this.outputStages.forEach((label, index) => {
+            this.stageSelect.appendChild(new Option(label, index));
+        });
+        this.stageSelect.value = this.outputStages.length - 1;
+
+        visualizer.resize('stageSpectrogram');
+        await this.showStage();
+    }
+
+    /**
+     * Draw the spectrogram of the selected chain stage and load it for playback
+     */
+    async showStage() {
+        if (this.currentPlayingType === 'stage') this.stopAudio();
+        this.stageBuffer = null;
+        this.playStageBtn.disabled = true;
+
+        try {
+            const stage = await processorClient.getStage(parseInt(this.stageSelect.value));
+            this.stageBuffer = stage.buffer;
+            visualizer.drawSpectrogram('stageSpectrogram', stage.frames, stage.buffer.sampleRate);
+            visualizer.drawTimeAxis('stageSpectrogram', stage.buffer.duration);
+            this.playStageBtn.disabled = false;
+        } catch (error) {
+            console.error('Error loading stage:', error);
+            visualizer.drawPlaceholder('stageSpectrogram', error.message);
+        }
+    }
+
+    /**
+     * Separate the selected part of an input, then draw it and load it for preview
+     * @param {string} type - 'A' or 'B'
+     */
+    async showComponent(type) {
+        if (!this.inputSpectrograms[type]) return;
+
+        const component = this.componentSelects[type].value;
+        if (component === 'full') {
+            await this.loadComponent(type);
+            return;
+        }
+
+        try {
+            this.showLoading(true, true);
+            this.loadingText.textContent = `Separating the ${HPSS.components[component].toLowerCase()} part of ${type}...`;
+            await this.yieldToUI();
+
+            await this.loadComponent(type);
+            this.showLoading(false);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('Separation cancelled');
+            } else {
+                console.error('Error separating audio:', error);
+                alert('Error separating audio: ' + error.message);
+            }
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Fetch the selected part of an input (see AudioProcessor.getComponent) and
+     * draw its spectrogram; the full input needs no separation
+     * @param {string} type - 'A' or 'B'
+     */
+    async loadComponent(type) {
+        if (this.currentPlayingType === `component${type}`) this.stopAudio();
+        const spectrogram = this.inputSpectrograms[type];
+        const component = this.componentSelects[type].value;
+        this.componentBuffers[type] = null;
+        this.playComponentBtns[type].disabled = true;
+        spectrogram.componentFrames = null;
+        spectrogram.tempo = undefined;
+
+        if (component !== 'full') {
+            const { windowSize, overlap, options } = this.getProcessSettings();
+            const result = await processorClient.getComponent(type, component, windowSize, overlap, options);
+            this.componentBuffers[type] = result.buffer;
+            spectrogram.componentFrames = result.frames;
+            this.playComponentBtns[type].disabled = false;
+        }
+        this.drawInputSpectrogram(type, false);
+        this.drawInputWaveform(type);
+        this.updateTempoInfo();
+    }
+
+    /**
+     * Draw an input's waveform, with the onsets that keep their attack marked
+     * while transients are kept (detected on the selected part, as in processing)
+     * @param {string} type - 'A' or 'B'
+     */
+    drawInputWaveform(type) {
+        const buffer = type === 'A' ? this.audioA : this.audioB;
+        const spectrogram = this.inputSpectrograms[type];
+        if (!buffer || !spectrogram) return;
+
+        const canvasId = type === 'A' ? 'waveformA' : 'waveformB';
+        visualizer.drawWaveform(canvasId, buffer);
+        if (!this.preserveTransientsCheckbox.checked) return;
+
+        const onsets = Onsets.detect(
+            spectrogram.componentFrames || spectrogram.frames,
+            parseInt(this.transientSensitivitySlider.value),
+            spectrogram.hopSeconds
+        );
+        // An onset's frame is the first whose window reaches into the attack, so mark the window centre
+        const times = Array.from(onsets, frame => frame * spectrogram.hopSeconds + spectrogram.windowSeconds / 2);
+        visualizer.drawOnsetMarkers(canvasId, times, buffer.duration);
+    }
+
+    /**
+     * Draw an input's spectrogram, with its detected pitch and the warping path
+     * over it if the last run aligned pitches or used DTW
+     * @param {string} type - 'A' or 'B'
+     * @param {boolean} showRun - Whether to draw the last run's pitch track and warping path
+     */
+    drawInputSpectrogram(type, showRun = true) {
+        const spectrogram = this.inputSpectrograms[type];
+        if (!spectrogram) return;
+
+        // The selected part of the input, which is what the operations take
+        const canvasId = type === 'A' ? 'spectrogramA' : 'spectrogramB';
+        visualizer.drawSpectrogram(canvasId, spectrogram.componentFrames || spectrogram.frames, spectrogram.sampleRate);
+
+        const pitch = showRun ? processorClient.getPitchInfo() : null;
+        const buffer = type === 'A' ? this.audioA : this.audioB;
+        if (pitch && buffer) {
+            const dominant = type === 'A' ? pitch.pitchA : pitch.pitchB;
+            visualizer.drawPitchTrack(
+                canvasId,
+                type === 'A' ? pitch.trackA : pitch.trackB,
+                pitch.hopSeconds,
+                buffer.duration,
+                dominant > 0 ? `${dominant.toFixed(1)} Hz ${Pitch.noteName(dominant)}` : 'No pitch found'
+            );
+        }
+
+        const alignment = showRun ? processorClient.getAlignmentInfo() : null;
+        const other = type === 'A' ? this.audioB : this.audioA;
+        if (alignment && buffer && other) {
+            visualizer.drawAlignmentPath(
+                canvasId,
+                type === 'A' ? alignment.pathA : alignment.pathB,
+                type === 'A' ? alignment.pathB : alignment.pathA,
+                alignment.hopSeconds,
+                buffer.duration,
+                other.duration,
+                `DTW (${Alignment.features[alignment.feature]}): ${type === 'A' ? 'B' : 'A'} time ↑`
+            );
+        }
+    }
+
+    /**
+     * Report processing details (e.g. resampled inputs) below the controls
+     */
+    showProcessInfo() {
+        const notes = processorClient.getResampleInfo().map(info =>
+            `Resampled ${info.input} from ${info.from} Hz to ${info.to} Hz`
+        );
+
+        const griffinLim = processorClient.getGriffinLimInfo();
+        if (griffinLim) {
+            notes.push(`Griffin-Lim: ${griffinLim.iterations} iterations, spectral convergence ${griffinLim.convergence.toFixed(1)} dB`);
+        }
+
+        const pitch = processorClient.getPitchInfo();
+        if (pitch) {
+            const describe = freq => freq > 0 ? `${freq.toFixed(1)} Hz (${Pitch.noteName(freq)})` : 'no pitch found';
+            const sign = pitch.semitones >= 0 ? '+' : '';
+            const shift = pitch.mode === 'frame' ? 'median shift' : 'shift';
+            notes.push(`Pitch: A ${describe(pitch.pitchA)}, B ${describe(pitch.pitchB)}, B ${shift} ${sign}${pitch.semitones.toFixed(2)} st`);
+        }
+
+        const alignment = processorClient.getAlignmentInfo();
+        if (alignment) {
+            notes.push(`DTW on ${Alignment.features[alignment.feature].toLowerCase()}: ${alignment.pathA.length} path steps, mean distance ${alignment.cost.toFixed(3)}`);
+        }
+
+        const length = processorClient.getLengthInfo();
+        if (length && length.mode === 'bars') {
+            const estimate = (type, bpm, bars) => bpm ? `${type} ${bpm.toFixed(1)} BPM (${bars.toFixed(1)} bars)` : `${type} no tempo found`;
+            notes.push(`Length ${length.seconds.toFixed(2)} s: ${length.bars} bars at ${length.bpm.toFixed(1)} BPM; ${estimate('A', length.tempoA, length.barsA)}, ${estimate('B', length.tempoB, length.barsB)}`);
+        } else if (length && length.mode === 'seconds') {
+            notes.push(`Length ${length.seconds.toFixed(2)} s`);
+        }
+
+        const gain = processorClient.getGainInfo();
+        if (gain && isFinite(gain.level)) {
+            const unit = gain.mode === 'lufs' || gain.mode === 'matchA' ? 'LUFS' : 'dBFS';
+            const sign = gain.gain >= 0 ? '+' : '';
+            let note = `Output ${gain.level.toFixed(1)} ${unit} (gain ${sign}${gain.gain.toFixed(1)} dB)`;
+            if (gain.limited) note += `, limited to avoid clipping (target ${gain.target.toFixed(1)} ${unit})`;
+            notes.push(note);
+        }
+
+        this.processInfo.textContent = notes.join(' · ');
+    }
+
     /**
      * Toggle play/stop for a specific audio type
-     * @param {string} type - 'A', 'B', or 'output'
+     * @param {string} type - 'A', 'B', 'output', 'stage', 'componentA' or 'componentB'
      */
     togglePlay(type) {
         // If currently playing this type, stop it
@@ -334,6 +1646,10 @@ class App {
             buffer = this.audioA;
         } else if (type === 'B') {
             buffer = this.audioB;
+        } else if (type === 'stage') {
+            buffer = this.stageBuffer;
+        } else if (type === 'componentA' || type === 'componentB') {
+            buffer = this.componentBuffers[type.slice(-1)];
         } else {
             buffer = this.outputBuffer;
         }
@@ -343,11 +1659,9 @@ class App {
         }
 
         try {
-            const playbackRate = parseFloat(this.playbackRateSlider.value);
-
+            // Speed is applied during resynthesis, so every buffer plays at its own rate
             this.currentSource = audioProcessor.audioContext.createBufferSource();
             this.currentSource.buffer = buffer;
-            this.currentSource.playbackRate.value = playbackRate;
             this.currentSource.connect(audioProcessor.audioContext.destination);
 
             this.currentSource.onended = () => {
@@ -362,7 +1676,7 @@ class App {
             // Update button states
             this.updatePlayButtons(type);
 
-            console.log(`Playing ${type} at ${playbackRate}x speed`);
+            console.log(`Playing ${type} (${buffer.duration.toFixed(2)}s)`);
         } catch (error) {
             console.error('Error playing audio:', error);
             alert('Error playing audio: ' + error.message);
@@ -402,6 +1716,15 @@ class App {
             this.playBtn.textContent = 'Stop';
             this.playBtn.classList.remove('btn-play');
             this.playBtn.classList.add('btn-stop');
+        } else if (playingType === 'stage') {
+            this.playStageBtn.textContent = 'Stop';
+            this.playStageBtn.classList.remove('btn-play');
+            this.playStageBtn.classList.add('btn-stop');
+        } else if (playingType === 'componentA' || playingType === 'componentB') {
+            const button = this.playComponentBtns[playingType.slice(-1)];
+            button.textContent = 'Stop';
+            button.classList.remove('btn-play');
+            button.classList.add('btn-stop');
         }
     }
 
@@ -420,6 +1743,16 @@ class App {
         this.playBtn.textContent = 'Play';
         this.playBtn.classList.remove('btn-stop');
         this.playBtn.classList.add('btn-play');
+
+        this.playStageBtn.textContent = 'Play';
+        this.playStageBtn.classList.remove('btn-stop');
+        this.playStageBtn.classList.add('btn-play');
+
+        Object.values(this.playComponentBtns).forEach(button => {
+            button.textContent = 'Play';
+            button.classList.remove('btn-stop');
+            button.classList.add('btn-play');
+        });
     }
 
     /**
@@ -451,11 +1784,24 @@ class App {
         }
     }
 
+    /**
+     * Abort the running processing job
+     */
+    cancelProcessing() {
+        this.loadingText.textContent = 'Cancelling...';
+        this.cancelBtn.disabled = true;
+        processorClient.cancel();
+    }
+
     /**
      * Show/hide loading overlay
+     * @param {boolean} show - Whether to show the overlay
+     * @param {boolean} cancellable - Whether to offer the Cancel button
      */
-    showLoading(show) {
+    showLoading(show, cancellable = false) {
         this.loadingOverlay.style.display = show ? 'flex' : 'none';
+        this.cancelBtn.style.display = show && cancellable ? '' : 'none';
+        this.cancelBtn.disabled = false;
         if (show) {
             this.progressFill.style.width = '0%';
             this.progressText.textContent = '0%';
@@ -12,6 +12,59 @@ class AudioProcessor {
         this.framesA = [];
         this.framesB = [];
         this.outputFrames = [];
+
+        // Per-channel frames (framesA/framesB/outputFrames mirror channel 0)
+        this.channelFramesA = [];
+        this.channelFramesB = [];
+        this.channelOutputFrames = [];
+        this.channelMode = 'independent';
+
+        // Frames of every operation stage per channel (the last stage is the output)
+        this.channelStageFrames = [];
+        this.numChannels = 1;
+
+        // Processing sample rate and the inputs that had to be resampled to reach it
+        this.sampleRate = null;
+        this.resampled = [];
+
+        // Result of the last Griffin-Lim reconstruction ({iterations, convergence} or null)
+        this.griffinLimInfo = null;
+
+        // Analysis settings of the last process run (reused when re-stretching)
+        this.windowSize = 4096;
+        this.overlapPercent = 75;
+        this.playbackRate = 1;
+
+        // Output level and dry mix of the last run (see process() options), and the
+        // inputs aligned to the output frames per channel, resynthesized for the dry mix
+        this.outputSettings = { gainMode: 'peak', gainTarget: Loudness.defaultTargets.peak, preventClipping: true, dryMix: 0, drySource: 'A' };
+        this.channelDryFrames = { A: [], B: [] };
+
+        // Gain applied to the last output ({mode, target, level, gain, limited} or null)
+        this.gainInfo = null;
+
+        // Pitches detected for the last pitch alignment (see getPitchAlignment), or null
+        this.pitchInfo = null;
+
+        // Quefrency (seconds) up to which the cepstrum is kept as the formant envelope when
+        // pitch-shifting: below the period of any sung or spoken pitch, so harmonics stay out
+        this.formantQuefrency = 0.0007;
+
+        // Warping path of the last DTW alignment (see getAlignment), or null
+        this.alignmentInfo = null;
+
+        // Output length of the last time-matched run (see getTargetLength), or null
+        this.lengthInfo = null;
+
+        // Analysis/synthesis window (see Windows)
+        this.windowType = 'hann';
+        this.kaiserBeta = 8;
+
+        // Transform size as a multiple of the frame length (finer bin spacing)
+        this.zeroPadding = 1;
+
+        // STFT analyses of the inputs, reused while buffer and analysis settings are unchanged
+        this.analysisCache = new AnalysisCache();
     }
 
     /**
@@ -47,6 +100,9 @@ class AudioProcessor {
      * Set audio buffer A
      */
     setAudioA(buffer) {
+        if (this.audioBufferA !== buffer && this.audioBufferA !== this.audioBufferB) {
+            this.analysisCache.invalidate(this.audioBufferA);
+        }
         this.audioBufferA = buffer;
     }
 
@@ -54,6 +110,9 @@ class AudioProcessor {
      * Set audio buffer B
      */
     setAudioB(buffer) {
+        if (this.audioBufferB !== buffer && this.audioBufferB !== this.audioBufferA) {
+            this.analysisCache.invalidate(this.audioBufferB);
+        }
         this.audioBufferB = buffer;
     }
 
@@ -71,97 +130,67 @@ class AudioProcessor {
     }
 
     /**
-     * Cooley-Tukey FFT (radix-2, decimation-in-time)
-     * Much faster than DFT: O(n log n) vs O(n²)
+     * Select the analysis/synthesis window used by STFT and resynthesis
+     * @param {string} type - 'hann', 'hamming', 'blackmanHarris', 'kaiser' or 'flatTop'
+     * @param {number} kaiserBeta - Kaiser beta (default 8)
+     */
+    setWindow(type, kaiserBeta = 8) {
+        this.windowType = Windows.names[type] ? type : 'hann';
+        this.kaiserBeta = kaiserBeta;
+    }
+
+    /**
+     * Get the current analysis/synthesis window
+     * @param {number} size - Window size
+     * @returns {Float32Array}
+     */
+    getAnalysisWindow(size) {
+        return Windows.get(this.windowType, size, this.kaiserBeta);
+    }
+
+    /**
+     * Forward FFT of any length (see FFT)
      * @param {Float32Array} real - Real part (input signal)
      * @param {Float32Array} imag - Imaginary part (initialized to 0)
      */
     fft(real, imag) {
-        const n = real.length;
-        if (n <= 1) return;
-
-        // Bit-reversal permutation
-        let j = 0;
-        for (let i = 0; i < n; i++) {
-            if (i < j) {
-                [real[i], real[j]] = [real[j], real[i]];
-                [imag[i], imag[j]] = [imag[j], imag[i]];
-            }
-            let k = n >> 1;
-            while (k > 0 && k <= j) {  // Added k > 0 to prevent infinite loop!
-                j -= k;
-                k >>= 1;
-            }
-            j += k;
-        }
-
-        // FFT computation
-        for (let len = 2; len <= n; len <<= 1) {
-            const angle = -2 * Math.PI / len;
-            const wlenReal = Math.cos(angle);
-            const wlenImag = Math.sin(angle);
-
-            for (let i = 0; i < n; i += len) {
-                let wReal = 1;
-                let wImag = 0;
-
-                for (let j = 0; j < len / 2; j++) {
-                    const u = i + j;
-                    const v = u + len / 2;
-
-                    const tReal = real[v] * wReal - imag[v] * wImag;
-                    const tImag = real[v] * wImag + imag[v] * wReal;
-
-                    real[v] = real[u] - tReal;
-                    imag[v] = imag[u] - tImag;
-                    real[u] += tReal;
-                    imag[u] += tImag;
-
-                    const tempReal = wReal * wlenReal - wImag * wlenImag;
-                    wImag = wReal * wlenImag + wImag * wlenReal;
-                    wReal = tempReal;
-                }
-            }
-        }
+        FFT.transform(real, imag);
     }
 
     /**
-     * Inverse FFT
+     * Inverse FFT of any length (see FFT)
      * @param {Float32Array} real - Real part
      * @param {Float32Array} imag - Imaginary part
      */
     ifft(real, imag) {
-        const n = real.length;
-
-        // Conjugate
-        for (let i = 0; i < n; i++) {
-            imag[i] = -imag[i];
-        }
-
-        // Forward FFT
-        this.fft(real, imag);
+        FFT.inverse(real, imag);
+    }
 
-        // Conjugate and scale
-        for (let i = 0; i < n; i++) {
-            real[i] /= n;
-            imag[i] = -imag[i] / n;
-        }
+    /**
+     * Get the transform size for a frame length (frame length × zero-padding factor)
+     * @param {number} windowSize - Frame length in samples
+     * @returns {number}
+     */
+    getFFTSize(windowSize) {
+        return Math.round(windowSize * this.zeroPadding);
     }
 
     /**
      * Perform FFT on signal and return magnitude/phase
      * @param {Float32Array} signal - Time domain signal
+     * @param {number} fftSize - Transform size; the signal is zero-padded to it (default: signal length)
      * @returns {Object} {magnitude, phase}
      */
-    performFFT(signal) {
-        const size = signal.length;
-        const real = new Float32Array(signal);
+    performFFT(signal, fftSize = signal.length) {
+        const size = fftSize;
+        const real = new Float32Array(size);
         const imag = new Float32Array(size);
+        real.set(signal.length > size ? signal.subarray(0, size) : signal);
 
         this.fft(real, imag);
 
-        // Calculate magnitude and phase (only need first half)
-        const halfSize = size / 2;
+        // Calculate magnitude and phase (only need first half, DC to Nyquist)
+        const halfSize = Math.floor(size / 2) + 1;
         const magnitude = new Float32Array(halfSize);
         const phase = new Float32Array(halfSize);
 
@@ -175,24 +204,30 @@ class AudioProcessor {
 
     /**
      * Perform Inverse FFT
-     * @param {Float32Array} magnitude - Magnitude spectrum
+     * @param {Float32Array} magnitude - Magnitude spectrum (DC up to N/2, floor(N/2) + 1 bins)
      * @param {Float32Array} phase - Phase spectrum
+     * @param {number} fftSize - Transform size N (default: even size implied by the bin count)
      * @returns {Float32Array} Time domain signal
      */
-    performIFFT(magnitude, phase) {
-        const size = magnitude.length * 2;
+    performIFFT(magnitude, phase, fftSize = (magnitude.length - 1) * 2) {
+        const size = fftSize;
+        const bins = magnitude.length;
         const real = new Float32Array(size);
         const imag = new Float32Array(size);
 
         // Reconstruct complex spectrum from magnitude and phase
-        for (let i = 0; i < magnitude.length; i++) {
+        for (let i = 0; i < bins; i++) {
             real[i] = magnitude[i] * Math.cos(phase[i]);
             imag[i] = magnitude[i] * Math.sin(phase[i]);
         }
 
+        // DC (and Nyquist, for even sizes) are real for a real signal: keep only their real part
+        imag[0] = 0;
+        if (size % 2 === 0) imag[size / 2] = 0;
+
         // Mirror for negative frequencies (hermitian symmetry for real signals)
-        // Note: we don't re-mirror bin 0 (DC) or set bin N/2 (Nyquist) specially
-        for (let i = 1; i < magnitude.length; i++) {
+        for (let i = 1; i < bins; i++) {
+            if (size - i === i) continue; // Nyquist is its own mirror
             real[size - i] = real[i];
             imag[size - i] = -imag[i];
         }
@@ -200,12 +235,6 @@ class AudioProcessor {
         // Perform inverse FFT
         this.ifft(real, imag);
 
-        // The IFFT result needs to be scaled up because we're using
-        // single-sided spectrum reconstruction
-        for (let i = 0; i < size; i++) {
-            real[i] *= 2;
-        }
-
         return real;
     }
 
@@ -214,10 +243,11 @@ class AudioProcessor {
      * @param {AudioBuffer} buffer - Audio buffer
      * @param {number} windowSize - FFT window size
      * @param {number} position - Position in buffer (0-1, default 0.5 for middle)
+     * @param {number} channel - Channel index (default 0)
      * @returns {Object} {magnitude, phase}
      */
-    getSingleFFT(buffer, windowSize = 4096, position = 0.5) {
-        const channelData = buffer.getChannelData(0);
+    getSingleFFT(buffer, windowSize = 4096, position = 0.5, channel = 0) {
+        const channelData = buffer.getChannelData(Math.min(channel, buffer.numberOfChannels - 1));
         const startIndex = Math.floor((channelData.length - windowSize) * position);
         const window = this.getHannWindow(windowSize);
 
@@ -232,16 +262,29 @@ class AudioProcessor {
     }
 
     /**
-     * Perform STFT on audio buffer
+     * Perform STFT on one channel of an audio buffer
      * @param {AudioBuffer} buffer - Audio buffer
      * @param {number} windowSize - FFT window size
      * @param {number} overlapPercent - Overlap percentage
+     * @param {number} channel - Channel index (default 0)
      * @returns {Array} Array of {magnitude, phase} frames
      */
-    performSTFT(buffer, windowSize, overlapPercent) {
-        const channelData = buffer.getChannelData(0); // Use first channel
+    performSTFT(buffer, windowSize, overlapPercent, channel = 0) {
+        const channelData = buffer.getChannelData(Math.min(channel, buffer.numberOfChannels - 1));
+        return this.performSignalSTFT(channelData, windowSize, overlapPercent);
+    }
+
+    /**
+     * Perform STFT on a time domain signal
+     * @param {Float32Array} channelData - Time domain signal
+     * @param {number} windowSize - Frame length in samples (any size; zero-padded to getFFTSize)
+     * @param {number} overlapPercent - Overlap percentage
+     * @returns {Array} Array of {magnitude, phase} frames
+     */
+    performSignalSTFT(channelData, windowSize, overlapPercent) {
         const hopSize = Math.floor(windowSize * (1 - overlapPercent / 100));
-        const window = this.getHannWindow(windowSize);
+        const window = this.getAnalysisWindow(windowSize);
+        const fftSize = this.getFFTSize(windowSize);
         const frames = [];
 
         for (let i = 0; i + windowSize <= channelData.length; i += hopSize) {
@@ -251,21 +294,108 @@ class AudioProcessor {
                 frame[j] = channelData[i + j] * window[j];
             }
 
-            // Perform FFT
-            const fftResult = this.performFFT(frame);
-            frames.push(fftResult);
+            // Perform FFT (zero-padded to the transform size); only magnitude and
+            // phase are kept, which halves the memory held by the analysis cache
+            const { magnitude, phase } = this.performFFT(frame, fftSize);
+            frames.push({ magnitude, phase });
         }
 
         return frames;
     }
 
+    /**
+     * Resolve the channel mapping actually used for a given output channel count.
+     * Mid/side needs exactly two channels; otherwise channels are processed independently.
+     * @param {string} channelMode - 'independent', 'midside' or 'mono'
+     * @param {number} numChannels - Output channel count
+     * @returns {string}
+     */
+    resolveChannelMode(channelMode, numChannels) {
+        if (channelMode === 'mono') return 'mono';
+        if (channelMode === 'midside' && numChannels === 2) return 'midside';
+        return 'independent';
+    }
+
+    /**
+     * Split a buffer into the signals that get analysed for a channel mapping.
+     * Inputs with fewer channels than the output reuse their channels in turn
+     * (a mono input feeds both sides of a stereo output).
+     * @param {AudioBuffer} buffer - Audio buffer
+     * @param {string} channelMode - Resolved channel mode
+     * @param {number} numChannels - Output channel count
+     * @returns {Float32Array[]} One signal per processed channel
+     */
+    getChannelSignals(buffer, channelMode, numChannels) {
+        const sourceCount = buffer.numberOfChannels;
+        const channel = (c) => buffer.getChannelData(c % sourceCount);
+
+        if (channelMode === 'mono') {
+            const sum = new Float32Array(buffer.length);
+            for (let c = 0; c < sourceCount; c++) {
+                const data = buffer.getChannelData(c);
+                for (let i = 0; i < sum.length; i++) {
+                    sum[i] += data[i] / sourceCount;
+                }
+            }
+            return [sum];
+        }
+
+        if (channelMode === 'midside') {
+            const left = channel(0);
+            const right = channel(1);
+            const mid = new Float32Array(buffer.length);
+            const side = new Float32Array(buffer.length);
+            for (let i = 0; i < mid.length; i++) {
+                mid[i] = (left[i] + right[i]) / 2;
+                side[i] = (left[i] - right[i]) / 2;
+            }
+            return [mid, side];
+        }
+
+        const signals = [];
+        for (let c = 0; c < numChannels; c++) {
+            signals.push(channel(c));
+        }
+        return signals;
+    }
+
+    /**
+     * Convert processed signals back to output channels
+     * @param {Float32Array[]} signals - Processed signals (one per processed channel)
+     * @param {string} channelMode - Resolved channel mode
+     * @param {number} numChannels - Output channel count
+     * @returns {Float32Array[]} One signal per output channel
+     */
+    decodeChannelSignals(signals, channelMode, numChannels) {
+        if (channelMode === 'mono') {
+            const channels = [signals[0]];
+            for (let c = 1; c < numChannels; c++) {
+                channels.push(new Float32Array(signals[0]));
+            }
+            return channels;
+        }
+
+        if (channelMode === 'midside') {
+            const [mid, side] = signals;
+            const left = new Float32Array(mid.length);
+            const right = new Float32Array(mid.length);
+            for (let i = 0; i < mid.length; i++) {
+                left[i] = mid[i] + side[i];
+                right[i] = mid[i] - side[i];
+            }
+            return [left, right];
+        }
+
+        return signals;
+    }
+
     /**
      * Combine phases from two sources
      * @param {Float32Array} phaseA - Phase from A
      * @param {Float32Array} phaseB - Phase from B
      * @param {Float32Array} magA - Magnitude from A (for weighted average)
      * @param {Float32Array} magB - Magnitude from B (for weighted average)
-     * @param {string} mode - Phase mode ('a', 'b', or 'average')
+     * @param {string} mode - Phase mode ('a', 'b', 'average', 'random' or 'louder')
      * @returns {Float32Array}
      */
     combinePhases(phaseA, phaseB, magA, magB, mode) {
@@ -277,15 +407,26 @@ class AudioProcessor {
             case 'b':
                 return phaseB;
             case 'average':
+                // Circular mean: angle of the magnitude-weighted unit-vector sum,
+                // so +π and -π average to π rather than 0
                 for (let i = 0; i < phaseA.length; i++) {
-                    const totalMag = magA[i] + magB[i];
-                    if (totalMag > 0) {
-                        const weightA = magA[i] / totalMag;
-                        const weightB = magB[i] / totalMag;
-                        result[i] = phaseA[i] * weightA + phaseB[i] * weightB;
-                    } else {
-                        result[i] = (phaseA[i] + phaseB[i]) / 2;
-                    }
+                    const weightA = magA[i] + magB[i] > 0 ? magA[i] : 1;
+                    const weightB = magA[i] + magB[i] > 0 ? magB[i] : 1;
+                    const x = weightA * Math.cos(phaseA[i]) + weightB * Math.cos(phaseB[i]);
+                    const y = weightA * Math.sin(phaseA[i]) + weightB * Math.sin(phaseB[i]);
+                    result[i] = x === 0 && y === 0 ? phaseA[i] : Math.atan2(y, x);
+                }
+                return result;
+            case 'random':
+                // Fresh random phase per bin and frame: noisy, textural results
+                for (let i = 0; i < phaseA.length; i++) {
+                    result[i] = (Math.random() * 2 - 1) * Math.PI;
+                }
+                return result;
+            case 'louder':
+                // Per bin, take the phase of whichever source is louder there
+                for (let i = 0; i < phaseA.length; i++) {
+                    result[i] = magB[i] > magA[i] ? phaseB[i] : phaseA[i];
                 }
                 return result;
             default:
@@ -297,83 +438,255 @@ class AudioProcessor {
      * Process audio with FFT operations
      * @param {string} operation - Operation name
      * @param {string} phaseMode - Phase mode
-     * @param {number} windowSize - FFT window size
+     * @param {number} windowSize - Frame length in samples (any size)
      * @param {number} overlapPercent - Overlap percentage
      * @param {boolean} timeMatch - Whether to time-stretch to match lengths
-     * @param {Function} progressCallback - Optional progress callback (percent)
+     * @param {Function} progressCallback - Optional progress callback (percent, message); a returned
+     *   promise is awaited between stages, letting the caller yield to the UI or abort by throwing
+     * @param {Object} options - Optional settings
+     * @param {string} options.channelMode - 'independent' (L/R), 'midside' or 'mono' (default 'independent')
+     * @param {number} options.sampleRate - Processing sample rate (default: A's rate)
+     * @param {number} options.playbackRate - Pitch-preserving speed of the output (default 1)
+     * @param {string} options.stretchMode - 'vocoder' (interpolated phase vocoder) or 'nearest' frame (default 'vocoder')
+     * @param {boolean} options.phaseLocking - Identity phase-locking in the phase vocoder (default true)
+     * @param {string} options.windowType - Analysis/synthesis window (default 'hann', see Windows)
+     * @param {number} options.kaiserBeta - Kaiser window beta (default 8)
+     * @param {number} options.zeroPadding - Transform size as a multiple of windowSize (default 1)
+     * @param {number} options.griffinLimIterations - Iterations for the 'griffinLim' phase mode (default 32)
+     * @param {string} options.griffinLimInit - Starting phase for Griffin-Lim: 'random', 'a' or 'b' (default 'random')
+     * @param {Object} options.operationParams - Parameter values for the operation (see FFTOperations.schema)
+     * @param {string} options.expression - Formula for the 'expression' operation (see SpectralExpression)
+     * @param {Object} options.automation - Envelopes for automatable parameters, as
+     *   {name: [{time, value}]} with time 0-1 over the output; sampled per output frame and
+     *   applied to the operations (stages, bands) that have a parameter of that name
+     * @param {Object} options.multiband - Per-band operations instead of `operation`, as
+     *   {crossovers: [Hz], transition (octaves), bands: [{operation, params}]}; a band's
+     *   operation may also be 'passA' or 'passB' (see Multiband)
+     * @param {Array} options.pipeline - Chain of stages instead of `operation` (and multiband), as
+     *   [{operation, params, inputA, inputB}] where each input is 'A', 'B' or the index of an
+     *   earlier stage; the last stage is the output and every stage can be heard (see getStage)
+     * @param {string} options.domain - Magnitudes the operations work on: 'linear', 'db' or
+     *   'power' (|X|^γ), converted back afterwards (default 'linear', see MagnitudeDomain);
+     *   ignored in the 'complex' phase mode
+     * @param {number} options.domainFloor - Noise floor in dB below the loudest input bin; quieter
+     *   bins count as silence in the dB and power domains (default -80)
+     * @param {number} options.domainExponent - γ for the power domain (default 0.3)
+     * @param {string} options.pitchAlign - Pitch-shift B to A before the operations: 'off',
+     *   'detected' (by the difference of the dominant pitches), 'manual' (pitchSemitones) or
+     *   'frame' (following both pitch tracks) (default 'off', see Pitch)
+     * @param {number} options.pitchSemitones - Shift of B for the 'manual' alignment
+     * @param {boolean} options.preserveFormants - Keep B's spectral envelope while shifting (default true)
+     * @param {string} options.timeAlign - How time matching maps output frames to input frames:
+     *   'linear' (both stretched evenly) or 'dtw' (along a dynamic time warping path, so
+     *   matching events line up) (default 'linear', see Alignment)
+     * @param {string} options.alignFeature - Frame feature the DTW path is found on: 'chroma',
+     *   'mfcc' or 'flux' (default 'chroma')
+     * @param {boolean} options.preserveTransients - While time matching, play the frames around
+     *   each onset unstretched so attacks aren't repeated or smeared (default false, see Onsets)
+     * @param {number} options.transientSensitivity - Onset detection sensitivity, 0-100 (default 50)
+     * @param {string} options.targetLength - Length both inputs are stretched to: 'weighted'
+     *   (between A's and B's length, see lengthWeight), 'seconds' (targetSeconds) or 'bars'
+     *   (targetBars at targetBpm) (default 'weighted', see getTargetLength)
+     * @param {number} options.lengthWeight - 0 for A's length, 1 for B's (default 0.5, the average)
+     * @param {number} options.targetSeconds - Output length for the 'seconds' length
+     * @param {number} options.targetBars - Output length in bars (default: the inputs' average bar
+     *   count at their estimated tempos, rounded)
+     * @param {number} options.targetBpm - Tempo of the bars (default: the inputs' estimated tempos
+     *   averaged, see Tempo)
+     * @param {number} options.beatsPerBar - Beats per bar (default 4)
+     * @param {string} options.componentA - Part of A the operations take: 'full', 'harmonic',
+     *   'percussive' or 'residual' (default 'full', see HPSS)
+     * @param {string} options.componentB - Part of B the operations take (default 'full')
+     * @param {number} options.hpssHarmonic - Length of the harmonic (time) median filter in ms (default 200)
+     * @param {number} options.hpssPercussive - Length of the percussive (frequency) median filter in Hz (default 500)
+     * @param {number} options.hpssMargin - How clearly a bin must be harmonic or percussive to count as
+     *   one; the rest is the residual (default 2, 1 leaves no residual)
+     * @param {string} options.gainMode - Output level: 'peak' or 'rms' (dBFS), 'lufs' (integrated
+     *   loudness) to gainTarget, or 'matchA' for the integrated loudness of input A (default 'peak')
+     * @param {number} options.gainTarget - Target level in dBFS or LUFS (default per mode, see Loudness)
+     * @param {boolean} options.preventClipping - Limit the gain so peaks stay below Loudness.ceiling (default true)
+     * @param {number} options.dryMix - Percentage of time-aligned input in the output, 0-100 (default 0)
+     * @param {string} options.drySource - Input mixed in as dry signal: 'A' or 'B' (default 'A')
      * @returns {Promise<AudioBuffer>}
      */
-    async process(operation, phaseMode, windowSize, overlapPercent, timeMatch = true, progressCallback = null) {
+    async process(operation, phaseMode, windowSize, overlapPercent, timeMatch = true, progressCallback = null, options = {}) {
         if (!this.audioBufferA || !this.audioBufferB) {
             throw new Error('Both audio files must be loaded');
         }
 
-        // Perform STFT on both inputs
-        if (progressCallback) progressCallback(10, 'Analyzing audio A...');
-        this.framesA = this.performSTFT(this.audioBufferA, windowSize, overlapPercent);
-
-        if (progressCallback) progressCallback(30, 'Analyzing audio B...');
-        this.framesB = this.performSTFT(this.audioBufferB, windowSize, overlapPercent);
+        this.windowSize = windowSize;
+        this.overlapPercent = overlapPercent;
+        this.configure(options);
+        this.resampled = [];
 
-        // Determine target number of frames based on timeMatch setting
-        let targetFrames;
-        if (timeMatch) {
-            // Time-stretch: use average of both lengths
-            targetFrames = Math.ceil((this.framesA.length + this.framesB.length) / 2);
-        } else {
-            // No time-stretch: use shorter length, 1:1 frame mapping
-            targetFrames = Math.min(this.framesA.length, this.framesB.length);
+        const stages = this.getStages(operation, options);
+        const operations = [];
+        stages.forEach(stage => {
+            if (stage.multiband) {
+                operations.push(...stage.multiband.bands.map(band => band.operation));
+            } else {
+                operations.push(stage.operation);
+            }
+        });
+        if (operations.includes('expression')) {
+            // Fail before the (slow) analysis on a formula that doesn't compile
+            SpectralExpression.compile(options.expression || '');
         }
 
-        this.outputFrames = [];
+        // Perform STFT on both inputs (reusing cached analyses where settings are unchanged)
+        if (progressCallback) await progressCallback(10, this.getAnalysisMessage(this.audioBufferA, 'A'));
+        this.channelFramesA = this.analyzeInput(this.audioBufferA, 'A', windowSize, overlapPercent);
 
-        if (progressCallback) progressCallback(50, 'Applying FFT operations...');
+        if (progressCallback) await progressCallback(30, this.getAnalysisMessage(this.audioBufferB, 'B'));
+        this.channelFramesB = this.analyzeInput(this.audioBufferB, 'B', windowSize, overlapPercent);
 
-        console.log(`Processing with operation: ${operation}, phaseMode: ${phaseMode}`);
-        console.log(`Frames A: ${this.framesA.length}, Frames B: ${this.framesB.length}, Target: ${targetFrames}`);
+        // Operands can be one part of an input instead of all of it
+        if ((options.componentA && options.componentA !== 'full') || (options.componentB && options.componentB !== 'full')) {
+            if (progressCallback) await progressCallback(40, 'Separating harmonic and percussive parts...');
+            const hpss = this.getHPSSSettings(options, windowSize, overlapPercent);
+            this.channelFramesA = this.channelFramesA.map(frames => this.getComponentFrames(frames, options.componentA, hpss));
+            this.channelFramesB = this.channelFramesB.map(frames => this.getComponentFrames(frames, options.componentB, hpss));
+        }
 
-        // Reset operation logging for this run
-        if (FFTOperations.resetLog) FFTOperations.resetLog();
+        this.framesA = this.channelFramesA[0];
+        this.framesB = this.channelFramesB[0];
+
+        // Pitch is detected on the first channel and the same shift applied to every channel
+        this.pitchInfo = null;
+        let pitch = null;
+        if (options.pitchAlign && options.pitchAlign !== 'off') {
+            if (progressCallback) await progressCallback(45, 'Detecting pitch...');
+            const alignment = this.getPitchAlignment(this.framesA, this.framesB, options.pitchAlign, options.pitchSemitones, timeMatch, windowSize);
+            this.pitchInfo = alignment.info;
+            pitch = {
+                ratios: alignment.ratios,
+                mode: options.pitchAlign,
+                semitones: alignment.info.semitones,
+                preserveFormants: options.preserveFormants !== false
+            };
+        }
 
-        // Process each frame
-        for (let i = 0; i < targetFrames; i++) {
-            let indexA, indexB;
+        const hopSize = Math.floor(windowSize * (1 - overlapPercent / 100));
 
-            if (timeMatch) {
-                // Interpolate frame indices for time stretching
-                indexA = Math.min(Math.floor(i * this.framesA.length / targetFrames), this.framesA.length - 1);
-                indexB = Math.min(Math.floor(i * this.framesB.length / targetFrames), this.framesB.length - 1);
-            } else {
-                // Direct 1:1 mapping (no time stretching)
-                indexA = i;
-                indexB = i;
+        // Output frame count while time matching, chosen once for every channel, path and onset lock
+        this.lengthInfo = null;
+        let targetFrames = null;
+        if (timeMatch) {
+            if (options.targetLength === 'bars' && progressCallback) await progressCallback(46, 'Estimating tempo...');
+            const length = this.getTargetLength(this.framesA, this.framesB, windowSize, hopSize, options);
+            this.lengthInfo = length.info;
+            targetFrames = length.frames;
+        }
+
+        // The warping path is also found on the first channel (after B's pitch shift) and used for every channel
+        this.alignmentInfo = null;
+        let timeMap = null;
+        if (timeMatch && options.timeAlign === 'dtw') {
+            if (progressCallback) await progressCallback(47, 'Aligning A and B...');
+            const framesB = pitch ? this.getShiftedFrames(this.framesB, pitch, windowSize, hopSize) : this.framesB;
+            const alignment = this.getAlignment(this.framesA, framesB, options.alignFeature || 'chroma', windowSize, hopSize, targetFrames);
+            this.alignmentInfo = alignment.info;
+            timeMap = alignment.timeMap;
+
+            // Following A's pitch, B's frames pair with A's along the path rather than by
+            // position (the shift doesn't move B in time, so the path still holds after it)
+            if (pitch && pitch.mode === 'frame') {
+                const pairs = Alignment.pairFrames(alignment.info.pathB, alignment.info.pathA, this.framesB.length);
+                const pitchAlignment = this.getPitchAlignment(this.framesA, this.framesB, 'frame', options.pitchSemitones, timeMatch, windowSize, pairs);
+                this.pitchInfo = pitchAlignment.info;
+                pitch = { ...pitch, ratios: pitchAlignment.ratios, semitones: pitchAlignment.info.semitones };
             }
+        }
 
-            const frameA = this.framesA[indexA];
-            const frameB = this.framesB[indexB];
+        // Onsets are found on the first channel of each input (B's timing is the same before its pitch shift)
+        if (timeMatch && options.preserveTransients) {
+            if (progressCallback) await progressCallback(48, 'Detecting transients...');
+            const sensitivity = options.transientSensitivity !== undefined ? options.transientSensitivity : 50;
+            const lockA = this.getTransientLock(this.framesA, timeMap ? timeMap.A : null, targetFrames, sensitivity, windowSize, hopSize);
+            const lockB = this.getTransientLock(this.framesB, timeMap ? timeMap.B : null, targetFrames, sensitivity, windowSize, hopSize);
+            timeMap = {
+                A: lockA.positions,
+                B: lockB.positions,
+                lockedA: lockA.locked,
+                lockedB: lockB.locked,
+                key: `${timeMap ? timeMap.key : 'linear'}|onsets|${sensitivity}|${hopSize}`
+            };
+        }
 
-            // Apply operation to magnitudes
-            const processedMagnitude = FFTOperations.apply(operation, frameA.magnitude, frameB.magnitude);
+        if (progressCallback) await progressCallback(50, 'Applying FFT operations...');
 
-            // Combine phases
-            const processedPhase = this.combinePhases(
-                frameA.phase,
-                frameB.phase,
-                frameA.magnitude,
-                frameB.magnitude,
-                phaseMode
-            );
+        console.log(`Processing with operation: ${operations.join(' | ')}, phaseMode: ${phaseMode}, channels: ${this.numChannels} (${this.channelMode})`);
 
-            this.outputFrames.push({
-                magnitude: processedMagnitude,
-                phase: processedPhase
-            });
+        // Reset operation logging for this run
+        if (FFTOperations.resetLog) FFTOperations.resetLog();
 
-            // Update progress every 50 frames
-            if (progressCallback && i % 50 === 0) {
-                const percent = 50 + Math.floor((i / targetFrames) * 30);
-                progressCallback(percent, 'Processing frames...');
+        const settings = {
+            operation,
+            phaseMode,
+            timeMatch,
+            windowSize,
+            hopSize,
+            targetFrames,
+            timeMap,
+            stretchMode: options.stretchMode || 'vocoder',
+            phaseLocking: options.phaseLocking !== false,
+            griffinLimInit: options.griffinLimInit || 'random',
+            automation: options.automation || {},
+            // Complex operations work on complex bins, not on magnitudes in a domain
+            domain: phaseMode === 'complex' ? null : MagnitudeDomain.normalize(options.domain, options.domainFloor, options.domainExponent),
+            pitch,
+            stages,
+            params: {
+                expression: options.expression || '',
+                binHz: this.sampleRate / this.getFFTSize(windowSize)
             }
+        };
+
+        const channelCount = this.channelFramesA.length;
+        this.channelStageFrames = [];
+        this.channelOutputFrames = [];
+        this.channelDryFrames = { A: [], B: [] };
+        for (let c = 0; c < channelCount; c++) {
+            const channelProgress = progressCallback ? (percent, message) => {
+                return progressCallback(50 + Math.floor((c + percent) / channelCount * 30), message);
+            } : null;
+            if (channelProgress) await channelProgress(0, `Processing channel ${c + 1} of ${channelCount}...`);
+
+            const { stageFrames, alignedA, alignedB } = await this.processFrames(
+                this.channelFramesA[c],
+                this.channelFramesB[c],
+                settings,
+                channelProgress
+            );
+            this.channelStageFrames.push(stageFrames);
+            this.channelDryFrames.A.push(alignedA);
+            this.channelDryFrames.B.push(alignedB);
+            this.channelOutputFrames.push(stageFrames[stageFrames.length - 1]);
+        }
+        this.outputFrames = this.channelOutputFrames[0];
+
+        // Rebuild a phase that is consistent with the new magnitudes
+        this.griffinLimInfo = null;
+        if (phaseMode === 'griffinLim') {
+            const iterations = options.griffinLimIterations || 32;
+            let worst = -Infinity;
+            for (let c = 0; c < channelCount; c++) {
+                const channelProgress = progressCallback ? (fraction, message) => {
+                    return progressCallback(80 + Math.floor((c + fraction) / channelCount * 15), message);
+                } : null;
+                if (channelProgress) await channelProgress(0, `Griffin-Lim: channel ${c + 1} of ${channelCount}...`);
+
+                const convergence = await this.griffinLim(
+                    this.channelOutputFrames[c],
+                    windowSize,
+                    overlapPercent,
+                    iterations,
+                    settings.griffinLimInit === 'random',
+                    channelProgress
+                );
+                worst = Math.max(worst, convergence);
+            }
+            this.griffinLimInfo = { iterations, convergence: worst };
         }
 
         // Debug: Log statistics about the output to verify operation worked
@@ -388,71 +701,1300 @@ class AudioProcessor {
             console.log(`Operation ${operation}: Mid-frame stats - sum: ${sum.toFixed(2)}, max: ${max.toFixed(4)}, avg: ${(sum/sampleMag.length).toFixed(4)}`);
         }
 
-        if (progressCallback) progressCallback(80, 'Resynthesizing audio...');
+        if (progressCallback) await progressCallback(phaseMode === 'griffinLim' ? 95 : 80, 'Resynthesizing audio...');
 
         // Resynthesize audio
-        const outputBuffer = this.resynthesize(windowSize, overlapPercent);
+        this.playbackRate = options.playbackRate || 1;
+        this.outputSettings = this.getOutputSettings(options);
+        const outputBuffer = this.resynthesize(windowSize, overlapPercent, this.playbackRate);
         this.outputBuffer = outputBuffer;
 
-        if (progressCallback) progressCallback(100, 'Complete!');
+        if (progressCallback) await progressCallback(100, 'Complete!');
 
         return outputBuffer;
     }
 
     /**
-     * Resynthesize audio from FFT frames using overlap-add
+     * Apply the channel, sample rate and window settings used for analysis
+     * (see process() for the options)
+     * @param {Object} options - Processing options
+     */
+    configure(options = {}) {
+        this.setWindow(options.windowType || 'hann', options.kaiserBeta !== undefined ? options.kaiserBeta : 8);
+        this.zeroPadding = options.zeroPadding || 1;
+
+        // Output keeps the channel count of the widest input
+        const buffers = [this.audioBufferA, this.audioBufferB].filter(Boolean);
+        this.numChannels = Math.max(1, ...buffers.map(buffer => buffer.numberOfChannels));
+        this.channelMode = this.resolveChannelMode(options.channelMode || 'independent', this.numChannels);
+
+        // Bin k must mean the same frequency in A and B, so bring both to one rate first
+        this.sampleRate = options.sampleRate || (buffers.length > 0 ? buffers[0].sampleRate : 44100);
+    }
+
+    /**
+     * Read the output level and dry mix settings (see process() for the options)
+     * @param {Object} options - Processing options
+     * @returns {Object} {gainMode, gainTarget, preventClipping, dryMix, drySource}
+     */
+    getOutputSettings(options = {}) {
+        const gainMode = options.gainMode || 'peak';
+        return {
+            gainMode,
+            gainTarget: options.gainTarget !== undefined ? options.gainTarget : Loudness.defaultTargets[gainMode],
+            preventClipping: options.preventClipping !== false,
+            dryMix: Math.min(100, Math.max(0, options.dryMix || 0)),
+            drySource: options.drySource === 'B' ? 'B' : 'A'
+        };
+    }
+
+    /**
+     * Turn the processing options into the stages to run: the pipeline if there
+     * is one, otherwise a single stage of `operation` (or of the multiband layout) on A and B
+     * @param {string} operation - Operation name
+     * @param {Object} options - Processing options (see process())
+     * @returns {Array} Array of {operation, params, inputA, inputB, multiband}
+     */
+    getStages(operation, options) {
+        if (!options.pipeline || options.pipeline.length === 0) {
+            return [{
+                operation,
+                params: options.operationParams || {},
+                inputA: 'A',
+                inputB: 'B',
+                multiband: Multiband.normalize(options.multiband, this.sampleRate)
+            }];
+        }
+
+        return options.pipeline.map((stage, index) => {
+            [stage.inputA, stage.inputB].forEach(input => {
+                const earlierStage = Number.isInteger(input) && input >= 0 && input < index;
+                if (input !== 'A' && input !== 'B' && !earlierStage) {
+                    throw new Error(`Stage ${index + 1}: inputs must be A, B or an earlier stage`);
+                }
+            });
+            return {
+                operation: stage.operation,
+                params: stage.params || {},
+                inputA: stage.inputA,
+                inputB: stage.inputB,
+                multiband: null
+            };
+        });
+    }
+
+    /**
+     * Analyse an input with the given settings, exactly as process() would.
+     * The result is cached, so a following process() run reuses it.
+     * @param {AudioBuffer} buffer - Input buffer (A or B, already set)
+     * @param {string} label - 'A' or 'B'
+     * @param {number} windowSize - Frame length in samples
+     * @param {number} overlapPercent - Overlap percentage
+     * @param {Object} options - Processing options (see process())
+     * @returns {Array[]} STFT frames per processed channel
+     */
+    analyze(buffer, label, windowSize, overlapPercent, options = {}) {
+        return this.withSettings(options, () => this.analyzeInput(buffer, label, windowSize, overlapPercent));
+    }
+
+    /**
+     * Separate one part of an input and resynthesize it on its own, at its level
+     * within the input (no output gain), so it can be previewed before processing
+     * @param {AudioBuffer} buffer - Input buffer (A or B, already set)
+     * @param {string} label - 'A' or 'B'
+     * @param {string} component - 'full', 'harmonic', 'percussive' or 'residual'
+     * @param {number} windowSize - Frame length in samples
+     * @param {number} overlapPercent - Overlap percentage
+     * @param {Object} options - Processing options (see process())
+     * @returns {Object} {buffer, frames} with the frames of the first channel
+     */
+    getComponent(buffer, label, component, windowSize, overlapPercent, options = {}) {
+        return this.withSettings(options, () => {
+            const hpss = this.getHPSSSettings(options, windowSize, overlapPercent);
+            const channelFrames = this.analyzeInput(buffer, label, windowSize, overlapPercent)
+                .map(frames => this.getComponentFrames(frames, component, hpss));
+            const channels = this.decodeChannelSignals(
+                channelFrames.map(frames => this.overlapAdd(frames, windowSize, overlapPercent)),
+                this.channelMode,
+                this.numChannels
+            );
+            return { buffer: this.createOutputBuffer(channels, this.sampleRate), frames: channelFrames[0] };
+        });
+    }
+
+    /**
+     * Run a job with the analysis settings of `options`, then restore those of
+     * the last process run, which restretch() still relies on
+     * @param {Object} options - Processing options (see process())
+     * @param {Function} job - Work to run with the settings applied
+     * @returns {*} The job's result
+     */
+    withSettings(options, job) {
+        const { windowType, kaiserBeta, zeroPadding, numChannels, channelMode, sampleRate, resampled } = this;
+
+        this.configure(options);
+        this.resampled = [];
+        try {
+            return job();
+        } finally {
+            Object.assign(this, { windowType, kaiserBeta, zeroPadding, numChannels, channelMode, sampleRate, resampled });
+        }
+    }
+
+    /**
+     * Read the separation settings (see process() for the options) as filter
+     * lengths in frames and bins
+     * @param {Object} options - Processing options
+     * @param {number} windowSize - Frame length in samples
+     * @param {number} overlapPercent - Overlap percentage
+     * @returns {Object} {harmonicFrames, percussiveBins, margin}
+     */
+    getHPSSSettings(options, windowSize, overlapPercent) {
+        const hopSize = Math.floor(windowSize * (1 - overlapPercent / 100));
+        const kernels = HPSS.getKernels(
+            options.hpssHarmonic || HPSS.defaults.harmonic,
+            options.hpssPercussive || HPSS.defaults.percussive,
+            hopSize / this.sampleRate,
+            this.sampleRate / this.getFFTSize(windowSize)
+        );
+        return { ...kernels, margin: options.hpssMargin || HPSS.defaults.margin };
+    }
+
+    /**
+     * One part of a frame sequence; the separation is cached alongside the frames
+     * @param {Array} frames - Array of {magnitude, phase} frames
+     * @param {string} component - 'full', 'harmonic', 'percussive' or 'residual'
+     * @param {Object} hpss - {harmonicFrames, percussiveBins, margin} (see getHPSSSettings)
+     * @returns {Array} Array of {magnitude, phase} frames
+     */
+    getComponentFrames(frames, component, hpss) {
+        if (!component || component === 'full') return frames;
+        if (!HPSS.components[component]) {
+            throw new Error(`Unknown component: ${component}`);
+        }
+
+        const key = `hpss|${hpss.harmonicFrames}|${hpss.percussiveBins}|${hpss.margin}`;
+        let parts = this.analysisCache.getDerived(frames, key);
+        if (!parts) {
+            parts = HPSS.separate(frames, hpss);
+            this.analysisCache.setDerived(frames, key, parts);
+        }
+        return parts[component];
+    }
+
+    /**
+     * Progress message for the analysis of an input, naming the resampling it
+     * needs first (if the analysis isn't cached, that is most of the wait)
+     * @param {AudioBuffer} buffer - Input buffer
+     * @param {string} label - 'A' or 'B'
+     * @returns {string}
+     */
+    getAnalysisMessage(buffer, label) {
+        if (buffer.sampleRate === this.sampleRate) return `Analyzing audio ${label}...`;
+        return `Analyzing audio ${label} (resampling from ${buffer.sampleRate} Hz to ${this.sampleRate} Hz)...`;
+    }
+
+    /**
+     * Get the STFT frames of every processed channel of an input at the
+     * processing sample rate, from the analysis cache where possible
+     * @param {AudioBuffer} buffer - Input buffer
+     * @param {string} label - 'A' or 'B'
+     * @param {number} windowSize - Frame length in samples
+     * @param {number} overlapPercent - Overlap percentage
+     * @returns {Array[]} STFT frames per processed channel
+     */
+    analyzeInput(buffer, label, windowSize, overlapPercent) {
+        const resample = buffer.sampleRate !== this.sampleRate;
+        if (resample) {
+            this.resampled.push({ input: label, from: buffer.sampleRate, to: this.sampleRate });
+        }
+
+        const settingsKey = [
+            this.sampleRate,
+            windowSize,
+            overlapPercent,
+            this.windowType === 'kaiser' ? `kaiser:${this.kaiserBeta}` : this.windowType,
+            this.zeroPadding
+        ].join('|');
+
+        const signalKeys = this.getChannelSignalKeys(buffer, this.channelMode, this.numChannels);
+        this.analysisCache.pin(buffer, label, signalKeys.map(signalKey => `${signalKey}|${settingsKey}`));
+
+        let signals = null;
+        return signalKeys.map((signalKey, c) => {
+            const cacheKey = `${signalKey}|${settingsKey}`;
+            const cached = this.analysisCache.get(buffer, cacheKey);
+            if (cached) {
+                console.log(`Using cached analysis of ${label} (${signalKey})`);
+                return cached;
+            }
+
+            if (!signals) {
+                signals = this.getChannelSignals(buffer, this.channelMode, this.numChannels);
+            }
+
+            let signal = signals[c];
+            if (resample) {
+                console.log(`Resampling ${label}: ${buffer.sampleRate} Hz -> ${this.sampleRate} Hz`);
+                signal = Resampler.resample(signal, buffer.sampleRate, this.sampleRate);
+            }
+
+            const frames = this.performSignalSTFT(signal, windowSize, overlapPercent);
+            this.analysisCache.set(buffer, cacheKey, frames);
+            return frames;
+        });
+    }
+
+    /**
+     * Name the signals getChannelSignals() produces, so identical signals
+     * (e.g. a mono input feeding both sides) share one cached analysis
+     * @param {AudioBuffer} buffer - Audio buffer
+     * @param {string} channelMode - Resolved channel mode
+     * @param {number} numChannels - Output channel count
+     * @returns {string[]}
+     */
+    getChannelSignalKeys(buffer, channelMode, numChannels) {
+        if (channelMode === 'mono') return ['mono'];
+        if (channelMode === 'midside') return buffer.numberOfChannels > 1 ? ['mid', 'side'] : ['mid:mono', 'side:mono'];
+
+        const keys = [];
+        for (let c = 0; c < numChannels; c++) {
+            keys.push(`ch${c % buffer.numberOfChannels}`);
+        }
+        return keys;
+    }
+
+    /**
+     * Get the inputs resampled during the last process run
+     * @returns {Array} Array of {input, from, to}
+     */
+    getResampleInfo() {
+        return this.resampled;
+    }
+
+    /**
+     * Get the result of the last Griffin-Lim reconstruction
+     * @returns {Object|null} {iterations, convergence (dB)} or null if not used
+     */
+    getGriffinLimInfo() {
+        return this.griffinLimInfo;
+    }
+
+    /**
+     * Get the pitches detected for the last pitch alignment
+     * @returns {Object|null} {mode, pitchA, pitchB (dominant, Hz), semitones (median shift of B),
+     *   trackA, trackB (Hz per frame, 0 = no pitch), hopSeconds} or null if not used
+     */
+    getPitchInfo() {
+        return this.pitchInfo;
+    }
+
+    /**
+     * Detect the pitch of both inputs and work out how far to shift each frame of B
+     * @param {Array} framesA - A's frames (first channel)
+     * @param {Array} framesB - B's frames (first channel)
+     * @param {string} mode - 'detected', 'manual' or 'frame' (see Pitch.getRatios)
+     * @param {number} semitones - Shift for the 'manual' mode
+     * @param {boolean} timeMatch - Whether the inputs are stretched to a common length
+     * @param {number} windowSize - Frame length in samples
+     * @param {Int32Array} pairs - A's frame for every frame of B in the 'frame' mode
+     *   (see Pitch.getRatios; default: paired by position)
+     * @returns {Object} {info (see getPitchInfo), ratios (per frame of B)}
+     */
+    getPitchAlignment(framesA, framesB, mode, semitones, timeMatch, windowSize, pairs = null) {
+        const binHz = this.sampleRate / this.getFFTSize(windowSize);
+        const getTrack = frames => {
+            let track = this.analysisCache.getDerived(frames, 'pitch');
+            if (!track) {
+                track = Pitch.track(frames, binHz);
+                this.analysisCache.setDerived(frames, 'pitch', track);
+            }
+            return track;
+        };
+
+        const trackA = getTrack(framesA);
+        const trackB = getTrack(framesB);
+        const ratios = Pitch.getRatios(trackA, trackB, mode, semitones, timeMatch, pairs);
+        const shifts = Array.from(ratios, ratio => 12 * Math.log2(ratio)).sort((a, b) => a - b);
+        const info = {
+            mode,
+            pitchA: Pitch.median(trackA),
+            pitchB: Pitch.median(trackB),
+            semitones: shifts.length > 0 ? shifts[Math.floor(shifts.length / 2)] : 0,
+            trackA,
+            trackB,
+            hopSeconds: Math.floor(windowSize * (1 - this.overlapPercent / 100)) / this.sampleRate
+        };
+        return { info, ratios };
+    }
+
+    /**
+     * Cheap identity of the contents of numeric arrays (FNV-1a over their Float32 values),
+     * for cache keys that would otherwise have to spell out a value per frame
+     * @param {...ArrayLike<number>} arrays - Arrays to hash
+     * @returns {string} Hex hash
+     */
+    hashValues(...arrays) {
+        let hash = 0x811c9dc5;
+        arrays.forEach(array => {
+            const bits = new Uint32Array(Float32Array.from(array).buffer);
+            for (let i = 0; i < bits.length; i++) {
+                hash = Math.imul(hash ^ bits[i], 0x01000193) >>> 0;
+            }
+            hash = Math.imul(hash ^ bits.length, 0x01000193) >>> 0;
+        });
+        return hash.toString(16);
+    }
+
+    /**
+     * Get the warping path of the last DTW alignment
+     * @returns {Object|null} {feature, pathA, pathB (frame indices along the path), cost,
+     *   hopSeconds} or null if not used
+     */
+    getAlignmentInfo() {
+        return this.alignmentInfo;
+    }
+
+    /**
+     * Find the DTW path between both inputs and the input positions of every output frame
+     * @param {Array} framesA - A's frames (first channel)
+     * @param {Array} framesB - B's frames (first channel, pitch-shifted if aligned)
+     * @param {string} feature - 'chroma', 'mfcc' or 'flux' (see Alignment.getFeatures)
+     * @param {number} windowSize - Frame length in samples
+     * @param {number} hopSize - Analysis hop
+     * @param {number} targetFrames - Number of output frames
+     * @returns {Object} {info (see getAlignmentInfo), timeMap: {A, B (fractional input frame per
+     *   output frame), key (identifies the mapping for the stretch cache)}}
+     */
+    getAlignment(framesA, framesB, feature, windowSize, hopSize, targetFrames) {
+        const binHz = this.sampleRate / this.getFFTSize(windowSize);
+        const getFeatures = frames => {
+            const key = `features|${feature}`;
+            let features = this.analysisCache.getDerived(frames, key);
+            if (!features) {
+                features = Alignment.getFeatures(frames, feature, binHz);
+                this.analysisCache.setDerived(frames, key, features);
+            }
+            return features;
+        };
+
+        const { pathA, pathB, cost } = Alignment.dtw(getFeatures(framesA), getFeatures(framesB));
+        const info = { feature, pathA, pathB, cost, hopSeconds: hopSize / this.sampleRate };
+        return {
+            info,
+            timeMap: {
+                A: Alignment.getPositions(pathA, targetFrames),
+                B: Alignment.getPositions(pathB, targetFrames),
+                key: `dtw|${feature}|${this.hashValues(pathA, pathB)}`
+            }
+        };
+    }
+
+    /**
+     * Detect an input's onsets and lock its frame mapping to them (see Onsets.lockPositions).
+     * Each block covers the frames whose windows hold the attack: from half a window
+     * before the onset frame to half a window after
+     * @param {Array} frames - The input's frames (first channel)
+     * @param {Float32Array} positions - Source frame per output frame (default: evenly spread)
+     * @param {number} targetFrames - Number of output frames
+     * @param {number} sensitivity - Onset detection sensitivity, 0-100
+     * @param {number} windowSize - Frame length in samples
+     * @param {number} hopSize - Analysis hop
+     * @returns {Object} {positions, locked (1 for output frames that play a source frame as is)}
+     */
+    getTransientLock(frames, positions, targetFrames, sensitivity, windowSize, hopSize) {
+        const key = `onsets|${sensitivity}|${hopSize}`;
+        let onsets = this.analysisCache.getDerived(frames, key);
+        if (!onsets) {
+            onsets = Onsets.detect(frames, sensitivity, hopSize / this.sampleRate);
+            this.analysisCache.setDerived(frames, key, onsets);
+        }
+
+        const framesPerWindow = Math.ceil(windowSize / hopSize);
+        return Onsets.lockPositions(
+            positions || Onsets.linearPositions(frames.length, targetFrames),
+            onsets,
+            framesPerWindow + 1,
+            Math.floor(framesPerWindow / 2),
+            frames.length
+        );
+    }
+
+    /**
+     * Number of output frames for inputs of the given lengths
+     * @param {number} lengthA - Frames of A
+     * @param {number} lengthB - Frames of B
+     * @param {boolean} timeMatch - Whether both are stretched to a common length
+     * @param {number} weight - Where the common length lies: 0 at A's, 1 at B's (default 0.5)
+     * @returns {number}
+     */
+    getTargetFrames(lengthA, lengthB, timeMatch, weight = 0.5) {
+        // Time-stretch: weighted average of both lengths; otherwise the shorter length, 1:1 frame mapping
+        const clamped = Math.min(1, Math.max(0, weight));
+        return timeMatch
+            ? Math.max(1, Math.ceil(lengthA + (lengthB - lengthA) * clamped - 1e-9))
+            : Math.min(lengthA, lengthB);
+    }
+
+    /**
+     * Resolve the time-matched output length (see process() options) to a frame count.
+     * Lengths in seconds or bars are rounded to the nearest hop. In bars, the tempo and
+     * bar count default to the inputs': both tempos are estimated (B's folded to the
+     * octave nearest A's, so a half-time estimate doesn't halve its bar count), the
+     * target tempo is their average and the bar count the average of both inputs' bars
+     * @param {Array} framesA - A's frames (first channel)
+     * @param {Array} framesB - B's frames (first channel)
+     * @param {number} windowSize - Frame length in samples
+     * @param {number} hopSize - Analysis hop
+     * @param {Object} options - process() options
+     * @returns {Object} {frames, info (see getLengthInfo)}
+     */
+    getTargetLength(framesA, framesB, windowSize, hopSize, options) {
+        const mode = options.targetLength || 'weighted';
+        const toSeconds = frames => ((frames - 1) * hopSize + windowSize) / this.sampleRate;
+        const toFrames = seconds => Math.max(1, Math.round((seconds * this.sampleRate - windowSize) / hopSize) + 1);
+        const info = { mode };
+
+        let frames;
+        if (mode === 'seconds') {
+            if (!(options.targetSeconds > 0)) throw new Error('Enter an output length in seconds');
+            frames = toFrames(options.targetSeconds);
+        } else if (mode === 'bars') {
+            const beatsPerBar = options.beatsPerBar > 0 ? options.beatsPerBar : 4;
+            const tempoA = this.getTempo(framesA, hopSize);
+            const tempoB = this.getTempo(framesB, hopSize);
+            const bpmA = tempoA ? tempoA.bpm : null;
+            const bpmB = tempoB ? (bpmA ? Tempo.fold(tempoB.bpm, bpmA) : tempoB.bpm) : null;
+
+            const needsTempo = !(options.targetBpm > 0) || !(options.targetBars > 0);
+            if (needsTempo && (!bpmA || !bpmB)) {
+                throw new Error(`No tempo found in ${!bpmA ? 'A' : 'B'}: enter the BPM and number of bars`);
+            }
+            const barsA = bpmA ? Tempo.bars(toSeconds(framesA.length), bpmA, beatsPerBar) : null;
+            const barsB = bpmB ? Tempo.bars(toSeconds(framesB.length), bpmB, beatsPerBar) : null;
+            const bpm = options.targetBpm > 0 ? options.targetBpm : (bpmA + bpmB) / 2;
+            const bars = options.targetBars > 0 ? options.targetBars : Math.max(1, Math.round((barsA + barsB) / 2));
+
+            Object.assign(info, { bpm, bars, beatsPerBar, tempoA: bpmA, tempoB: bpmB, barsA, barsB });
+            frames = toFrames(Tempo.seconds(bars, bpm, beatsPerBar));
+        } else {
+            const weight = options.lengthWeight !== undefined ? options.lengthWeight : 0.5;
+            info.weight = weight;
+            frames = this.getTargetFrames(framesA.length, framesB.length, true, weight);
+        }
+
+        info.frames = frames;
+        info.seconds = toSeconds(frames);
+        return { frames, info };
+    }
+
+    /**
+     * Estimated tempo of an input, cached alongside its frames
+     * @param {Array} frames - The input's frames (first channel)
+     * @param {number} hopSize - Analysis hop
+     * @returns {Object|null} {bpm, confidence} (see Tempo.estimate)
+     */
+    getTempo(frames, hopSize) {
+        const key = `tempo|${hopSize}`;
+        let tempo = this.analysisCache.getDerived(frames, key);
+        if (tempo === undefined) {
+            tempo = Tempo.estimate(frames, hopSize / this.sampleRate);
+            this.analysisCache.setDerived(frames, key, tempo);
+        }
+        return tempo;
+    }
+
+    /**
+     * Get the output length of the last time-matched run
+     * @returns {Object|null} {mode, frames, seconds (at speed 1), weight ('weighted'), or
+     *   bpm, bars, beatsPerBar, tempoA, tempoB, barsA, barsB ('bars'; estimates are null
+     *   if no tempo was found)} or null without time matching
+     */
+    getLengthInfo() {
+        return this.lengthInfo;
+    }
+
+    /**
+     * Pitch-shifted copy of a frame sequence, cached alongside it
+     * @param {Array} frames - Array of {magnitude, phase} frames
+     * @param {Object} pitch - {ratios (per frame), mode, semitones, preserveFormants}
+     * @param {number} windowSize - Frame length in samples
+     * @param {number} hopSize - Analysis hop
+     * @returns {Array} Array of {magnitude, phase} frames
+     */
+    getShiftedFrames(frames, pitch, windowSize, hopSize) {
+        // One shift for the whole input, except in 'frame' mode, whose ratios follow A's pitch track
+        const ratios = pitch.mode === 'frame' ? `|${this.hashValues(pitch.ratios)}` : '';
+        const key = `shift|${pitch.mode}|${pitch.semitones.toFixed(5)}|${pitch.preserveFormants}${ratios}`;
+        let shifted = this.analysisCache.getDerived(frames, key);
+        if (!shifted) {
+            shifted = this.shiftFrames(frames, pitch.ratios, this.getFFTSize(windowSize), hopSize, pitch.preserveFormants);
+            this.analysisCache.setDerived(frames, key, shifted);
+        }
+        return shifted;
+    }
+
+    /**
+     * Pitch-shift frames in the frequency domain: every bin takes the magnitude at
+     * bin / ratio and advances its phase at the scaled instantaneous frequency of
+     * that source bin, so shifted partials stay continuous. With formants preserved,
+     * the source's spectral envelope is divided out before the move and put back after
+     * @param {Array} frames - Array of {magnitude, phase} frames
+     * @param {Float32Array} ratios - Frequency ratio per frame
+     * @param {number} fftSize - Transform size
+     * @param {number} hopSize - Hop between frames
+     * @param {boolean} preserveFormants - Keep the spectral envelope in place
+     * @returns {Array} Array of {magnitude, phase} frames
+     */
+    shiftFrames(frames, ratios, fftSize, hopSize, preserveFormants = true) {
+        if (frames.length === 0 || ratios.every(ratio => ratio === 1)) return frames;
+
+        const numBins = frames[0].magnitude.length;
+        const shifted = [];
+        let previousPhase = null;
+
+        // Cepstral coefficient n is the quefrency n / sampleRate, whatever the transform size
+        const lifter = Math.max(1, Math.round(this.formantQuefrency * this.sampleRate));
+
+        frames.forEach((frame, i) => {
+            const ratio = ratios[i];
+            const envelope = preserveFormants ? SpectralEnvelope.cepstral(frame.magnitude, lifter) : null;
+            const magnitude = new Float32Array(numBins);
+            const phase = new Float32Array(numBins);
+
+            for (let k = 0; k < numBins; k++) {
+                const source = k / ratio;
+                const index0 = Math.floor(source);
+                if (index0 >= numBins - 1) continue;
+                const frac = source - index0;
+                const interpolate = values => values[index0] * (1 - frac) + values[index0 + 1] * frac;
+
+                magnitude[k] = interpolate(frame.magnitude);
+                if (envelope) {
+                    const sourceEnvelope = interpolate(envelope);
+                    magnitude[k] *= sourceEnvelope > 0 ? envelope[k] / sourceEnvelope : 0;
+                }
+
+                const bin = Math.round(source);
+                if (previousPhase === null) {
+                    phase[k] = frame.phase[bin];
+                } else {
+                    const frequency = this.getInstantFrequency(frames[i - 1].phase[bin], frame.phase[bin], bin, fftSize, hopSize);
+                    phase[k] = this.wrapPhase(previousPhase[k] + frequency * ratio * hopSize);
+                }
+            }
+
+            shifted.push({ magnitude, phase });
+            previousPhase = phase;
+        });
+
+        return shifted;
+    }
+
+    /**
+     * Run the operation stages with the phase mode over the frames of one channel
+     * @param {Array} framesA - STFT frames of A
+     * @param {Array} framesB - STFT frames of B
+     * @param {Object} settings - {stages, phaseMode, timeMatch, windowSize, hopSize, targetFrames, timeMap, stretchMode, phaseLocking, griffinLimInit, automation, domain, pitch, params}
+     * @param {Function} progressCallback - Optional progress callback (fraction 0-1, message);
+     *   a returned promise is awaited (see process())
+     * @returns {Promise<Object>} {stageFrames: {magnitude, phase} output frames of every stage (the
+     *   last stage is the output), alignedA, alignedB: the inputs' frames, one per output frame}
+     */
+    async processFrames(framesA, framesB, settings, progressCallback = null) {
+        const { stages, timeMatch, windowSize, hopSize, timeMap, stretchMode, phaseLocking, griffinLimInit, automation, domain, params } = settings;
+        const automated = Object.keys(automation || {});
+
+        // Griffin-Lim starts from A's or B's phase (random starts are drawn later)
+        const phaseMode = settings.phaseMode === 'griffinLim' ? (griffinLimInit === 'b' ? 'b' : 'a') : settings.phaseMode;
+
+        // B is brought to A's pitch first, so everything after it (stretching, setup, dry mix) sees the shifted B
+        if (settings.pitch) {
+            framesB = this.getShiftedFrames(framesB, settings.pitch, windowSize, hopSize);
+        }
+
+        // Determine target number of frames based on timeMatch setting (process() resolves the time-matched length)
+        const targetFrames = timeMatch && settings.targetFrames
+            ? settings.targetFrames
+            : this.getTargetFrames(framesA.length, framesB.length, timeMatch);
+
+
+        // Bring both inputs to the target frame count up front: phase vocoder or nearest frame,
+        // evenly or along the DTW path and onset locks (timeMap)
+        const sourceFramesA = framesA;
+        const sourceFramesB = framesB;
+        const positionsA = timeMap ? timeMap.A : null;
+        const positionsB = timeMap ? timeMap.B : null;
+        if (timeMatch && stretchMode === 'vocoder') {
+            if (progressCallback) await progressCallback(0, 'Phase vocoder stretching...');
+            const mapKey = timeMap ? timeMap.key : null;
+            framesA = this.getStretchedFrames(framesA, targetFrames, windowSize, hopSize, phaseLocking, positionsA, timeMap ? timeMap.lockedA : null, mapKey);
+            framesB = this.getStretchedFrames(framesB, targetFrames, windowSize, hopSize, phaseLocking, positionsB, timeMap ? timeMap.lockedB : null, mapKey);
+        } else if (timeMatch) {
+            const nearest = (frames, positions) => Array.from({ length: targetFrames }, (_, i) => {
+                const index = positions ? Math.round(positions[i]) : Math.floor(i * frames.length / targetFrames);
+                return frames[Math.min(index, frames.length - 1)];
+            });
+            framesA = nearest(framesA, positionsA);
+            framesB = nearest(framesB, positionsB);
+        } else if (!timeMatch) {
+            framesA = framesA.slice(0, targetFrames);
+            framesB = framesB.slice(0, targetFrames);
+        }
+
+        // Automated parameters follow their envelope over the output timeline
+        const frameValues = [];
+        for (let i = 0; i < targetFrames; i++) {
+            let automatedValues = null;
+            if (automated.length > 0) {
+                const time = targetFrames > 1 ? i / (targetFrames - 1) : 0;
+                automatedValues = {};
+                automated.forEach(name => {
+                    automatedValues[name] = this.sampleEnvelope(automation[name], time);
+                });
+            }
+            frameValues.push(automatedValues);
+        }
+
+        // Each stage runs over all frames before the next, so its output is complete
+        // when a later stage (or that stage's setup) reads it
+        const stageFrames = [];
+        const inputs = { A: [framesA, sourceFramesA], B: [framesB, sourceFramesB] };
+        for (let s = 0; s < stages.length; s++) {
+            const stage = stages[s];
+            const [stageFramesA, setupFramesA] = inputs[stage.inputA] || [stageFrames[stage.inputA], stageFrames[stage.inputA]];
+            const [stageFramesB, setupFramesB] = inputs[stage.inputB] || [stageFrames[stage.inputB], stageFrames[stage.inputB]];
+            const stageProgress = progressCallback ? (fraction, message) => {
+                return progressCallback((s + fraction) / stages.length, message);
+            } : null;
+
+            stageFrames.push(await this.processStage(stage, stageFramesA, stageFramesB, setupFramesA, setupFramesB, {
+                phaseMode,
+                params,
+                domain,
+                frameValues,
+                targetFrames,
+                timing: { frameCount: targetFrames, hopSeconds: hopSize / this.sampleRate }
+            }, stageProgress));
+        }
+
+        return { stageFrames, alignedA: framesA, alignedB: framesB };
+    }
+
+    /**
+     * Run one stage (an operation, or a multiband layout) over aligned frames
+     * @param {Object} stage - {operation, params, multiband} (see getStages)
+     * @param {Array} framesA - Frames of the stage's first input, one per output frame
+     * @param {Array} framesB - Frames of the stage's second input, one per output frame
+     * @param {Array} setupFramesA - First input as a whole, for operation setup (A and B unstretched)
+     * @param {Array} setupFramesB - Second input as a whole, for operation setup
+     * @param {Object} run - {phaseMode, params, domain, frameValues (automated values per frame), targetFrames, timing}
+     * @param {Function} progressCallback - Optional progress callback (fraction 0-1, message);
+     *   a returned promise is awaited (see process())
+     * @returns {Promise<Array>} Array of {magnitude, phase} frames
+     */
+    async processStage(stage, framesA, framesB, setupFramesA, setupFramesB, run, progressCallback = null) {
+        const { phaseMode, frameValues, targetFrames, timing } = run;
+        const { operation, multiband } = stage;
+        const params = { ...run.params, ...stage.params };
+
+        // dB and power values are relative to one reference over the stage's inputs
+        if (run.domain) {
+            params.domain = { ...run.domain, reference: MagnitudeDomain.reference(setupFramesA, setupFramesB) };
+        }
+
+        // Band weights depend only on the bin grid, so they are shared by all frames
+        const bandWeights = multiband && framesA.length > 0
+            ? Multiband.getWeights(framesA[0].magnitude.length, params.binHz, multiband.crossovers, multiband.transition)
+            : null;
+
+        // Frame history for temporal operations: each operation (per band) keeps its own
+        // state object across the frames of this channel, and learns where it is in time.
+        // Operations that need whole inputs (e.g. a noise profile) set it up from the setup frames
+        const states = multiband
+            ? multiband.bands.map(band => FFTOperations.prepare(band.operation, setupFramesA, setupFramesB, { ...params, ...band.params }))
+            : [FFTOperations.prepare(operation, setupFramesA, setupFramesB, params)];
+
+        // Automated values only reach operations that have a parameter of that name, so they
+        // don't override the fixed values of other stages or bands (e.g. another operation's threshold)
+        const getOwnedValues = op => {
+            const names = (FFTOperations.schema[op] || []).map(param => param.name);
+            return values => {
+                if (!values) return null;
+                const owned = {};
+                names.forEach(name => {
+                    if (name in values) owned[name] = values[name];
+                });
+                return owned;
+            };
+        };
+        const ownedValues = multiband ? multiband.bands.map(band => getOwnedValues(band.operation)) : [getOwnedValues(operation)];
+
+        const outputFrames = [];
+
+        // Process each frame
+        for (let i = 0; i < targetFrames; i++) {
+            const frameA = framesA[i];
+            const frameB = framesB[i];
+            const automatedValues = frameValues[i];
+
+            if (multiband) {
+                // Each band's operation over the whole frame, mixed by the band weights
+                const bandOutputs = multiband.bands.map((band, b) => {
+                    if (band.operation === 'passA') return frameA;
+                    if (band.operation === 'passB') return frameB;
+                    return this.applyOperation(band.operation, frameA, frameB, phaseMode, {
+                        ...params, ...band.params, ...ownedValues[b](automatedValues), ...timing, frameIndex: i, state: states[b]
+                    });
+                });
+                outputFrames.push(Multiband.mix(bandOutputs, bandWeights));
+            } else {
+                const frameParams = { ...params, ...ownedValues[0](automatedValues), ...timing, frameIndex: i, state: states[0] };
+                outputFrames.push(this.applyOperation(operation, frameA, frameB, phaseMode, frameParams));
+            }
+
+            // Update progress every 50 frames
+            if (progressCallback && i % 50 === 0) {
+                await progressCallback(i / targetFrames, 'Processing frames...');
+            }
+        }
+
+        return outputFrames;
+    }
+
+    /**
+     * Apply an operation and phase mode to one pair of frames
+     * @param {string} operation - Operation name
+     * @param {Object} frameA - {magnitude, phase} frame of A
+     * @param {Object} frameB - {magnitude, phase} frame of B
+     * @param {string} phaseMode - Phase mode ('complex' operates on the complex bins)
+     * @param {Object} params - Operation parameters
+     * @returns {Object} {magnitude, phase}
+     */
+    applyOperation(operation, frameA, frameB, phaseMode, params) {
+        if (phaseMode === 'complex') {
+            // Operate on the full complex bins; the phase comes out of the operation
+            return ComplexOperations.apply(
+                operation,
+                frameA.magnitude,
+                frameA.phase,
+                frameB.magnitude,
+                frameB.phase,
+                params
+            );
+        }
+
+        // Apply operation to magnitudes
+        const processedMagnitude = FFTOperations.apply(operation, frameA.magnitude, frameB.magnitude, params);
+
+        // Combine phases
+        const processedPhase = this.combinePhases(
+            frameA.phase,
+            frameB.phase,
+            frameA.magnitude,
+            frameB.magnitude,
+            phaseMode
+        );
+
+        return {
+            magnitude: processedMagnitude,
+            phase: processedPhase
+        };
+    }
+
+    /**
+     * Sample a breakpoint envelope (linear between points, held beyond the ends)
+     * @param {Array} points - Array of {time, value}, sorted by time
+     * @param {number} time - Position 0-1
+     * @returns {number}
+     */
+    sampleEnvelope(points, time) {
+        if (points.length === 0) return 0;
+        if (time <= points[0].time) return points[0].value;
+
+        for (let i = 1; i < points.length; i++) {
+            const next = points[i];
+            if (time <= next.time) {
+                const previous = points[i - 1];
+                const span = next.time - previous.time;
+                const fraction = span > 0 ? (time - previous.time) / span : 1;
+                return previous.value + (next.value - previous.value) * fraction;
+            }
+        }
+        return points[points.length - 1].value;
+    }
+
+    /**
+     * Griffin-Lim phase reconstruction: repeatedly resynthesize the frames and
+     * re-analyse the result, keeping the target magnitudes and the new phases,
+     * until the phase is consistent with the processed magnitudes
+     * @param {Array} frames - Output frames (phases are replaced)
      * @param {number} windowSize - FFT window size
      * @param {number} overlapPercent - Overlap percentage
+     * @param {number} iterations - Number of iterations
+     * @param {boolean} randomInit - Start from random phase instead of the frames' phase
+     * @param {Function} progressCallback - Optional progress callback (fraction 0-1, message);
+     *   a returned promise is awaited (see process())
+     * @returns {Promise<number>} Final spectral convergence in dB (lower is better)
+     */
+    async griffinLim(frames, windowSize, overlapPercent, iterations, randomInit, progressCallback = null) {
+        if (frames.length === 0) return -Infinity;
+
+        if (randomInit) {
+            frames.forEach(frame => {
+                frame.phase = new Float32Array(frame.magnitude.length);
+                for (let k = 0; k < frame.phase.length; k++) {
+                    frame.phase[k] = (Math.random() * 2 - 1) * Math.PI;
+                }
+            });
+        }
+
+        let convergence = 0;
+        for (let iteration = 1; iteration <= iterations; iteration++) {
+            const signal = this.overlapAdd(frames, windowSize, overlapPercent);
+            const analysis = this.performSignalSTFT(signal, windowSize, overlapPercent);
+
+            // Spectral convergence ||S - g|X||| / ||S||, with the best-fit gain g
+            // (the output is normalised afterwards, so overall level doesn't matter)
+            let targetEnergy = 0, crossEnergy = 0, analysisEnergy = 0;
+            for (let i = 0; i < frames.length && i < analysis.length; i++) {
+                const target = frames[i].magnitude;
+                const actual = analysis[i].magnitude;
+                for (let k = 0; k < target.length; k++) {
+                    targetEnergy += target[k] * target[k];
+                    crossEnergy += target[k] * actual[k];
+                    analysisEnergy += actual[k] * actual[k];
+                }
+                frames[i].phase = analysis[i].phase;
+            }
+
+            const errorEnergy = analysisEnergy > 0 ? targetEnergy - crossEnergy * crossEnergy / analysisEnergy : targetEnergy;
+            convergence = targetEnergy > 0 ? 10 * Math.log10(Math.max(errorEnergy, 1e-12 * targetEnergy) / targetEnergy) : -Infinity;
+
+            if (progressCallback) {
+                await progressCallback(iteration / iterations,
+                    `Griffin-Lim iteration ${iteration}/${iterations} (spectral convergence ${convergence.toFixed(1)} dB)`);
+            }
+        }
+
+        console.log(`Griffin-Lim: ${iterations} iterations, spectral convergence ${convergence.toFixed(1)} dB`);
+        return convergence;
+    }
+
+    /**
+     * Resynthesize the last output at a new speed without re-running the operations
+     * @param {number} playbackRate - Pitch-preserving speed (0.5-2)
+     * @param {Object} options - New output level and dry mix settings (see process());
+     *   the last run's are kept if omitted
      * @returns {AudioBuffer}
      */
-    resynthesize(windowSize, overlapPercent) {
-        const hopSize = Math.floor(windowSize * (1 - overlapPercent / 100));
-        const window = this.getHannWindow(windowSize);
+    restretch(playbackRate, options = null) {
+        this.playbackRate = playbackRate;
+        if (options) this.outputSettings = this.getOutputSettings(options);
+        this.outputBuffer = this.resynthesize(this.windowSize, this.overlapPercent, playbackRate);
+        return this.outputBuffer;
+    }
+
+    /**
+     * Resynthesize the output of one stage of the last run (at the current speed),
+     * so intermediate results of a pipeline can be heard and viewed
+     * @param {number} index - Stage index (the last stage is the output)
+     * @returns {Object} {buffer, frames} with the frames of the first channel
+     */
+    getStage(index) {
+        if (!this.channelStageFrames || !this.channelStageFrames.length || !this.channelStageFrames[0][index]) {
+            throw new Error(`The last run has no stage ${index + 1}`);
+        }
+        const channelFrames = this.channelStageFrames.map(stageFrames => stageFrames[index]);
+        return {
+            buffer: this.resynthesize(this.windowSize, this.overlapPercent, this.playbackRate, channelFrames),
+            frames: channelFrames[0]
+        };
+    }
+
+    /**
+     * Get the output gain of the last run
+     * @returns {Object|null} {mode, target, level (after gain), gain (dB), limited} or null
+     */
+    getGainInfo() {
+        return this.gainInfo;
+    }
+
+    /**
+     * Resynthesize audio from the output frames of every channel, mix in the dry
+     * input and bring it to the output level (see process() options)
+     * @param {number} windowSize - FFT window size
+     * @param {number} overlapPercent - Overlap percentage
+     * @param {number} playbackRate - Pitch-preserving speed (default 1)
+     * @param {Array[]} channelFrames - Frames per channel of a stage tap (default: the
+     *   output, which alone gets the dry mix)
+     * @returns {AudioBuffer}
+     */
+    resynthesize(windowSize, overlapPercent, playbackRate = 1, channelFrames = null) {
+        const isOutput = !channelFrames;
+        const synthesize = frames => this.decodeChannelSignals(
+            frames.map(channel => this.overlapAdd(channel, windowSize, overlapPercent, playbackRate)),
+            this.channelMode,
+            this.numChannels
+        );
+
+        let channels = synthesize(channelFrames || this.channelOutputFrames);
+        const { dryMix, drySource } = this.outputSettings;
+        if (isOutput && dryMix > 0) {
+            channels = this.mixDry(channels, synthesize(this.channelDryFrames[drySource]), dryMix / 100);
+        }
+
+        const gainInfo = this.applyOutputGain(channels);
+        if (isOutput) this.gainInfo = gainInfo;
+
+        return this.createOutputBuffer(channels, this.sampleRate);
+    }
+
+    /**
+     * Crossfade the processed signal with the dry input. The processed signal is
+     * first brought to the RMS of the dry one, so the mix amount sets the balance
+     * whatever level the operation left it at.
+     * @param {Float32Array[]} wet - Processed channels
+     * @param {Float32Array[]} dry - Dry channels (same length)
+     * @param {number} amount - Dry fraction 0-1
+     * @returns {Float32Array[]} Mixed channels
+     */
+    mixDry(wet, dry, amount) {
+        const levelDifference = Loudness.rms(dry) - Loudness.rms(wet);
+        const wetGain = isFinite(levelDifference) ? Math.pow(10, levelDifference / 20) : 1;
+
+        return wet.map((wetData, c) => {
+            const dryData = dry[c];
+            const mixed = new Float32Array(wetData.length);
+            for (let i = 0; i < mixed.length; i++) {
+                mixed[i] = (1 - amount) * wetGain * wetData[i] + amount * (dryData[i] || 0);
+            }
+            return mixed;
+        });
+    }
+
+    /**
+     * Scale channels (in place) to the output level, with one gain for all
+     * channels to keep the stereo image
+     * @param {Float32Array[]} channels - Channel data
+     * @returns {Object} {mode, target, level (after gain), gain (dB), limited}
+     */
+    applyOutputGain(channels) {
+        const { gainMode, preventClipping } = this.outputSettings;
+        const mode = gainMode === 'matchA' ? 'lufs' : gainMode;
+
+        let target = this.outputSettings.gainTarget;
+        if (gainMode === 'matchA') {
+            target = Loudness.integrated(this.getChannelData(this.audioBufferA), this.audioBufferA.sampleRate);
+        }
+
+        // Nothing to scale for silence (or a silent reference)
+        const level = Loudness.measure(channels, this.sampleRate, mode);
+        let gain = isFinite(level) && isFinite(target) ? target - level : 0;
+
+        let limited = false;
+        const peak = Loudness.peak(channels);
+        if (preventClipping && mode !== 'peak' && peak + gain > Loudness.ceiling) {
+            gain = Loudness.ceiling - peak;
+            limited = true;
+        }
+
+        const scale = Math.pow(10, gain / 20);
+        channels.forEach(data => {
+            for (let i = 0; i < data.length; i++) {
+                data[i] *= scale;
+            }
+        });
+
+        return { mode: gainMode, target, level: level + gain, gain, limited };
+    }
+
+    /**
+     * Get the channel arrays of a buffer
+     * @param {AudioBuffer} buffer - Buffer
+     * @returns {Float32Array[]}
+     */
+    getChannelData(buffer) {
+        const channels = [];
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            channels.push(buffer.getChannelData(c));
+        }
+        return channels;
+    }
+
+    /**
+     * Wrap channel data in an AudioBuffer, or in a SignalBuffer where there is
+     * no AudioContext (inside the processing worker)
+     * @param {Float32Array[]} channels - Channel data
+     * @param {number} sampleRate - Sample rate
+     * @returns {AudioBuffer|SignalBuffer}
+     */
+    createOutputBuffer(channels, sampleRate) {
+        if (!this.audioContext) {
+            return new SignalBuffer(channels, sampleRate);
+        }
+
+        const outputBuffer = this.audioContext.createBuffer(channels.length, channels[0].length, sampleRate);
+        channels.forEach((outputData, channel) => outputBuffer.copyToChannel(outputData, channel));
+        return outputBuffer;
+    }
+
+    /**
+     * Slowest speed overlapAdd can honour: below it the synthesis hop would exceed
+     * the window and leave gaps, so it is capped and the output gets no longer
+     * @param {number} windowSize - FFT window size
+     * @param {number} overlapPercent - Overlap percentage
+     * @returns {number}
+     */
+    getMinPlaybackRate(windowSize, overlapPercent) {
+        return Math.floor(windowSize * (1 - overlapPercent / 100)) / windowSize;
+    }
+
+    /**
+     * Turn FFT frames back into a time domain signal using overlap-add
+     * @param {Array} frames - Array of {magnitude, phase} frames
+     * @param {number} windowSize - FFT window size
+     * @param {number} overlapPercent - Overlap percentage
+     * @param {number} playbackRate - Pitch-preserving speed (default 1)
+     * @returns {Float32Array}
+     */
+    overlapAdd(frames, windowSize, overlapPercent, playbackRate = 1) {
+        const analysisHop = Math.floor(windowSize * (1 - overlapPercent / 100));
+        const window = this.getAnalysisWindow(windowSize);
+
+        // Frames are laid out at the synthesis hop: faster rates pack them closer together.
+        // Capped at the window size so frames never leave gaps between them, which limits
+        // the slowest speed (see getMinPlaybackRate; the UI doesn't offer slower ones)
+        const hopSize = Math.min(windowSize, Math.max(1, Math.round(analysisHop / playbackRate)));
+        const fftSize = this.getFFTSize(windowSize);
+        const phases = hopSize === analysisHop ? null : this.propagatePhases(frames, fftSize, analysisHop, hopSize);
 
         // Calculate output length
-        const outputLength = (this.outputFrames.length - 1) * hopSize + windowSize;
+        const outputLength = (frames.length - 1) * hopSize + windowSize;
         const outputData = new Float32Array(outputLength);
         const windowSum = new Float32Array(outputLength);
 
-        // Overlap-add synthesis (apply synthesis window for smooth transitions)
-        for (let i = 0; i < this.outputFrames.length; i++) {
-            const frame = this.outputFrames[i];
-            const timeSignal = this.performIFFT(frame.magnitude, frame.phase);
+        // Weighted overlap-add: the synthesis window is the analysis window, so
+        // each sample is normalised by the sum of analysis × synthesis (squared) windows
+        for (let i = 0; i < frames.length; i++) {
+            const frame = frames[i];
+            // Only the first windowSize samples belong to the frame (the rest is zero-padding)
+            const timeSignal = this.performIFFT(frame.magnitude, phases ? phases[i] : frame.phase, fftSize);
 
             const offset = i * hopSize;
             for (let j = 0; j < windowSize && offset + j < outputLength; j++) {
                 // Apply synthesis window and accumulate
                 outputData[offset + j] += timeSignal[j] * window[j];
-                windowSum[offset + j] += window[j];
+                windowSum[offset + j] += window[j] * window[j];
             }
         }
 
-        // Normalize by window sum (not squared) for proper reconstruction
+        // Exact for any window/hop where frames overlap; near-uncovered samples
+        // (the very edges, or gaps) are limited so they don't blow up
+        let maxWindowSum = 0;
         for (let i = 0; i < outputLength; i++) {
-            if (windowSum[i] > 0.001) {
-                outputData[i] /= windowSum[i];
+            if (windowSum[i] > maxWindowSum) maxWindowSum = windowSum[i];
+        }
+        const minWindowSum = maxWindowSum * 0.01;
+        for (let i = 0; i < outputLength; i++) {
+            outputData[i] /= Math.max(windowSum[i], minWindowSum) || 1;
+        }
+
+        return outputData;
+    }
+
+    /**
+     * Phase vocoder time-stretch of an analysis, cached alongside it
+     * @param {Array} frames - Array of {magnitude, phase} frames
+     * @param {number} targetFrames - Number of output frames
+     * @param {number} windowSize - Frame length in samples
+     * @param {number} hopSize - Analysis hop
+     * @param {boolean} phaseLocking - Identity phase-locking
+     * @param {Float32Array} positions - Source frame per output frame (default: evenly spread)
+     * @param {Uint8Array} locked - Output frames that play their source frame as is (see stretchFrames)
+     * @param {string} mapKey - Identity of the frame mapping and its locks (e.g. the DTW path it
+     *   follows and the onset settings); default: a hash of the positions and locks
+     * @returns {Array} Array of {magnitude, phase} frames
+     */
+    getStretchedFrames(frames, targetFrames, windowSize, hopSize, phaseLocking, positions = null, locked = null, mapKey = null) {
+        const map = positions ? `|${mapKey || this.hashValues(positions, locked || [])}` : '';
+        const key = `stretch|${targetFrames}|${phaseLocking}${map}`;
+        let stretched = this.analysisCache.getDerived(frames, key);
+        if (!stretched) {
+            stretched = this.stretchFrames(frames, targetFrames, this.getFFTSize(windowSize), hopSize, phaseLocking, positions, locked);
+            this.analysisCache.setDerived(frames, key, stretched);
+        }
+        return stretched;
+    }
+
+    /**
+     * Phase vocoder time-stretch of a frame sequence to a new frame count.
+     * Magnitudes are interpolated between neighbouring frames and each bin's
+     * phase is accumulated from its instantaneous frequency, so stretched
+     * sections stay continuous instead of repeating frames.
+     * @param {Array} frames - Array of {magnitude, phase} frames
+     * @param {number} targetFrames - Number of output frames
+     * @param {number} fftSize - Transform size
+     * @param {number} hopSize - Analysis hop (also the hop between output frames)
+     * @param {boolean} phaseLocking - Lock bins to the phase of their nearest spectral peak
+     * @param {Float32Array} positions - Fractional source frame per output frame, non-decreasing
+     *   (default: spread evenly from the first frame to the last)
+     * @param {Uint8Array} locked - Output frames (at whole positions) that keep their source
+     *   frame's phase instead of the accumulated one, so transients keep their attack
+     * @returns {Array} Array of {magnitude, phase} frames
+     */
+    stretchFrames(frames, targetFrames, fftSize, hopSize, phaseLocking = true, positions = null, locked = null) {
+        if (frames.length === 0 || (!positions && targetFrames === frames.length)) return frames;
+
+        const numBins = frames[0].magnitude.length;
+        const lastFrame = frames.length - 1;
+        const step = targetFrames > 1 ? lastFrame / (targetFrames - 1) : 0;
+        const stretched = [];
+        let previousPhase = null;
+
+        for (let i = 0; i < targetFrames; i++) {
+            const position = positions ? Math.min(Math.max(positions[i], 0), lastFrame) : i * step;
+            const index0 = Math.min(Math.floor(position), lastFrame);
+            const index1 = Math.min(index0 + 1, lastFrame);
+            const frac = position - index0;
+            const frame0 = frames[index0];
+            const frame1 = frames[index1];
+
+            const magnitude = new Float32Array(numBins);
+            for (let k = 0; k < numBins; k++) {
+                magnitude[k] = frame0.magnitude[k] * (1 - frac) + frame1.magnitude[k] * frac;
             }
+
+            let phase;
+            if (previousPhase === null || (locked && locked[i])) {
+                phase = new Float32Array(frame0.phase);
+            } else {
+                // Advance by each bin's instantaneous frequency between the two source frames
+                const from = index0 === index1 ? frames[Math.max(0, index0 - 1)] : frame0;
+                const to = index0 === index1 ? frame0 : frame1;
+                const advance = (k) => this.getInstantFrequency(from.phase[k], to.phase[k], k, fftSize, hopSize) * hopSize;
+
+                phase = new Float32Array(numBins);
+                if (phaseLocking) {
+                    this.lockPhases(phase, previousPhase, magnitude, frame0.phase, advance);
+                } else {
+                    for (let k = 0; k < numBins; k++) {
+                        phase[k] = this.wrapPhase(previousPhase[k] + advance(k));
+                    }
+                }
+            }
+
+            stretched.push({ magnitude, phase });
+            previousPhase = phase;
         }
 
-        // Normalize to prevent clipping (find max without spread operator!)
-        let maxAmplitude = 0;
-        for (let i = 0; i < outputLength; i++) {
-            const abs = Math.abs(outputData[i]);
-            if (abs > maxAmplitude) maxAmplitude = abs;
+        return stretched;
+    }
+
+    /**
+     * Identity phase-locking (Laroche & Dolson): only spectral peaks get their
+     * phase accumulated, every other bin keeps its original phase offset from
+     * the peak whose region it belongs to
+     * @param {Float32Array} phase - Output phase (filled in)
+     * @param {Float32Array} previousPhase - Output phase of the previous frame
+     * @param {Float32Array} magnitude - Magnitude of this frame
+     * @param {Float32Array} analysisPhase - Original phase of the source frame
+     * @param {Function} advance - Phase advance of a bin over one hop
+     */
+    lockPhases(phase, previousPhase, magnitude, analysisPhase, advance) {
+        const numBins = magnitude.length;
+        const peaks = [];
+        for (let k = 0; k < numBins; k++) {
+            const m = magnitude[k];
+            if (m > 0 &&
+                (k < 1 || m > magnitude[k - 1]) && (k < 2 || m >= magnitude[k - 2]) &&
+                (k >= numBins - 1 || m >= magnitude[k + 1]) && (k >= numBins - 2 || m >= magnitude[k + 2])) {
+                peaks.push(k);
+            }
         }
-        if (maxAmplitude > 0) {
-            const scale = 0.95 / maxAmplitude;
-            for (let i = 0; i < outputLength; i++) {
-                outputData[i] *= scale;
+
+        if (peaks.length === 0) {
+            for (let k = 0; k < numBins; k++) {
+                phase[k] = this.wrapPhase(previousPhase[k] + advance(k));
             }
+            return;
         }
 
-        // Create output buffer
-        const sampleRate = this.audioBufferA.sampleRate;
-        const outputBuffer = this.audioContext.createBuffer(1, outputLength, sampleRate);
-        outputBuffer.copyToChannel(outputData, 0);
+        // Each peak owns the bins up to the lowest point between it and its neighbours
+        let start = 0;
+        for (let p = 0; p < peaks.length; p++) {
+            const peak = peaks[p];
+            let end = numBins;
+            if (p < peaks.length - 1) {
+                end = peak;
+                for (let k = peak + 1; k < peaks[p + 1]; k++) {
+                    if (magnitude[k] < magnitude[end]) end = k;
+                }
+                end++;
+            }
 
-        return outputBuffer;
+            const peakPhase = this.wrapPhase(previousPhase[peak] + advance(peak));
+            for (let k = start; k < end; k++) {
+                phase[k] = this.wrapPhase(peakPhase + analysisPhase[k] - analysisPhase[peak]);
+            }
+            start = end;
+        }
+    }
+
+    /**
+     * Phase vocoder phase propagation: re-advance each bin's phase by its
+     * instantaneous frequency over the synthesis hop instead of the analysis hop,
+     * so frames can be spaced differently without changing pitch
+     * @param {Array} frames - Array of {magnitude, phase} frames at the analysis hop
+     * @param {number} fftSize - Transform size
+     * @param {number} analysisHop - Hop the frames were analysed with
+     * @param {number} synthesisHop - Hop the frames will be laid out at
+     * @returns {Float32Array[]} Synthesis phase per frame
+     */
+    propagatePhases(frames, fftSize, analysisHop, synthesisHop) {
+        if (frames.length === 0) return [];
+
+        const numBins = frames[0].phase.length;
+        const phases = [new Float32Array(frames[0].phase)];
+
+        for (let i = 1; i < frames.length; i++) {
+            const previous = frames[i - 1].phase;
+            const current = frames[i].phase;
+            const lastPhase = phases[i - 1];
+            const phase = new Float32Array(numBins);
+
+            for (let k = 0; k < numBins; k++) {
+                const instantFrequency = this.getInstantFrequency(previous[k], current[k], k, fftSize, analysisHop);
+                phase[k] = this.wrapPhase(lastPhase[k] + instantFrequency * synthesisHop);
+            }
+            phases.push(phase);
+        }
+
+        return phases;
+    }
+
+    /**
+     * Instantaneous frequency of a bin from its phase advance between two frames
+     * @param {number} previousPhase - Phase in the earlier frame
+     * @param {number} currentPhase - Phase in the later frame
+     * @param {number} bin - Bin index
+     * @param {number} fftSize - Transform size
+     * @param {number} hopSize - Samples between the two frames
+     * @returns {number} Frequency in radians per sample
+     */
+    getInstantFrequency(previousPhase, currentPhase, bin, fftSize, hopSize) {
+        const binFrequency = 2 * Math.PI * bin / fftSize;
+        const deviation = this.wrapPhase(currentPhase - previousPhase - binFrequency * hopSize);
+        return binFrequency + deviation / hopSize;
+    }
+
+    /**
+     * Wrap a phase to [-π, π]
+     * @param {number} phase - Phase in radians
+     * @returns {number}
+     */
+    wrapPhase(phase) {
+        return phase - 2 * Math.PI * Math.round(phase / (2 * Math.PI));
     }
 
     /**
@@ -473,6 +2015,32 @@ class AudioProcessor {
         };
     }
 
+    /**
+     * Pack the magnitudes of a frame sequence into one transferable array
+     * (phases are left out: they are not needed for display)
+     * @param {Array} frames - Array of {magnitude, phase} frames
+     * @returns {Object} {data, numBins}
+     */
+    packMagnitudes(frames) {
+        const numBins = frames.length > 0 ? frames[0].magnitude.length : 0;
+        const data = new Float32Array(frames.length * numBins);
+        frames.forEach((frame, i) => data.set(frame.magnitude, i * numBins));
+        return { data, numBins };
+    }
+
+    /**
+     * Turn packed magnitudes back into frames (views into the packed array)
+     * @param {Object} packed - {data, numBins} from packMagnitudes()
+     * @returns {Array} Array of {magnitude} frames
+     */
+    unpackMagnitudes(packed) {
+        const frames = [];
+        for (let offset = 0; offset < packed.data.length; offset += packed.numBins) {
+            frames.push({ magnitude: packed.data.subarray(offset, offset + packed.numBins) });
+        }
+        return frames;
+    }
+
     /**
      * Export buffer to WAV format
      * @param {AudioBuffer} buffer - Audio buffer to export
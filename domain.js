@@ -0,0 +1,105 @@
+/**
+ * Magnitude Domain Module
+ * Runs operations on dB or power-compressed (|X|^γ) magnitudes instead of
+ * linear ones, converting the result back afterwards
+ */
+
+const MagnitudeDomain = {
+    // Defaults for the domain settings (see normalize)
+    defaults: {
+        floor: -80,
+        exponent: 0.3
+    },
+
+    /**
+     * Clean up domain settings
+     * @param {string} type - 'linear', 'db' or 'power'
+     * @param {number} floor - Noise floor in dB below the reference (bins under it count as silence)
+     * @param {number} exponent - γ for the power domain
+     * @returns {Object|null} {type, floor, exponent}, or null for the linear domain
+     */
+    normalize: (type, floor, exponent) => {
+        if (type !== 'db' && type !== 'power') return null;
+        return {
+            type,
+            floor: typeof floor === 'number' && floor < 0 ? floor : MagnitudeDomain.defaults.floor,
+            exponent: typeof exponent === 'number' && exponent > 0 ? exponent : MagnitudeDomain.defaults.exponent
+        };
+    },
+
+    /**
+     * Reference magnitude (0 dB) for a run: the loudest bin of either input, so
+     * A and B share one scale and values mean the same in every frame
+     * @param {Array} framesA - {magnitude} frames
+     * @param {Array} framesB - {magnitude} frames
+     * @returns {number}
+     */
+    reference: (framesA, framesB) => {
+        let max = 0;
+        [framesA, framesB].forEach(frames => {
+            frames.forEach(frame => {
+                const peak = findMax(frame.magnitude);
+                if (peak > max) max = peak;
+            });
+        });
+        return max || 1;
+    },
+
+    /**
+     * Convert linear magnitudes into the domain. dB values are rescaled so the
+     * floor is 0 and the reference is 1; power values are (|X| / reference)^γ.
+     * Bins below the floor become 0 in both, so low-level noise doesn't take part
+     * @param {Float32Array} magnitude - Linear magnitudes
+     * @param {Object} domain - {type, floor, exponent, reference}
+     * @returns {Float32Array}
+     */
+    forward: (magnitude, domain) => {
+        const { type, floor, exponent, reference } = domain;
+        const floorMagnitude = reference * Math.pow(10, floor / 20);
+        const values = new Float32Array(magnitude.length);
+        for (let i = 0; i < magnitude.length; i++) {
+            const m = magnitude[i];
+            if (m <= floorMagnitude) continue;
+            values[i] = type === 'db'
+                ? (20 * Math.log10(m / reference) - floor) / -floor
+                : Math.pow(m / reference, exponent);
+        }
+        return values;
+    },
+
+    /**
+     * Convert domain values back into linear magnitudes; values at or below 0
+     * (the floor) become silence
+     * @param {Float32Array} values - Domain values
+     * @param {Object} domain - {type, floor, exponent, reference}
+     * @returns {Float32Array}
+     */
+    inverse: (values, domain) => {
+        const { type, floor, exponent, reference } = domain;
+        const magnitude = new Float32Array(values.length);
+        for (let i = 0; i < values.length; i++) {
+            const v = values[i];
+            if (!(v > 0)) continue;
+            magnitude[i] = type === 'db'
+                ? reference * Math.pow(10, (v * -floor + floor) / 20)
+                : reference * Math.pow(v, 1 / exponent);
+        }
+        return magnitude;
+    },
+
+    /**
+     * Convert whole frames into the domain (magnitudes only), e.g. for operation setup
+     * @param {Array} frames - {magnitude, phase} frames
+     * @param {Object} domain - {type, floor, exponent, reference}
+     * @returns {Array} {magnitude, phase} frames
+     */
+    forwardFrames: (frames, domain) => frames.map(frame => ({
+        magnitude: MagnitudeDomain.forward(frame.magnitude, domain),
+        phase: frame.phase
+    }))
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MagnitudeDomain;
+}
@@ -0,0 +1,238 @@
+/**
+ * Envelope Editor Module
+ * Breakpoint envelope drawn over the output timeline, used to automate an
+ * operation parameter. Click to add a point, drag to move it, double-click
+ * to remove it. The first and last points stay at the start and end.
+ */
+
+class EnvelopeEditor {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+
+        // Points as {time: 0-1 of the output, value: min-max}, sorted by time
+        this.points = [];
+        this.min = 0;
+        this.max = 1;
+
+        // Output duration in seconds for the time axis (0 before the first run)
+        this.duration = 0;
+
+        this.dragIndex = -1;
+        this.onChange = null; // Called with the points after every edit
+
+        this.setupEvents();
+    }
+
+    /**
+     * Match the canvas resolution to its displayed size (call after showing it)
+     */
+    resize() {
+        const rect = this.canvas.getBoundingClientRect();
+        if (rect.width === 0) return;
+        this.canvas.width = rect.width * window.devicePixelRatio;
+        this.canvas.height = rect.height * window.devicePixelRatio;
+        this.ctx.setTransform(window.devicePixelRatio, 0, 0, window.devicePixelRatio, 0, 0);
+        this.draw();
+    }
+
+    /**
+     * Set the value range and the points to edit
+     * @param {Array} points - Array of {time, value}
+     * @param {number} min - Lowest value (bottom edge)
+     * @param {number} max - Highest value (top edge)
+     */
+    setEnvelope(points, min, max) {
+        this.points = points.map(point => ({ ...point }));
+        this.min = min;
+        this.max = max;
+        this.draw();
+    }
+
+    /**
+     * Get a copy of the points
+     * @returns {Array} Array of {time, value}
+     */
+    getPoints() {
+        return this.points.map(point => ({ ...point }));
+    }
+
+    /**
+     * Set the output duration shown on the time axis
+     * @param {number} duration - Seconds
+     */
+    setDuration(duration) {
+        this.duration = duration;
+        this.draw();
+    }
+
+    /**
+     * Canvas size in CSS pixels
+     * @returns {Object} {width, height}
+     */
+    getSize() {
+        return {
+            width: this.canvas.width / window.devicePixelRatio,
+            height: this.canvas.height / window.devicePixelRatio
+        };
+    }
+
+    /**
+     * Convert a point to canvas coordinates
+     * @param {Object} point - {time, value}
+     * @returns {Object} {x, y}
+     */
+    toCanvas(point) {
+        const { width, height } = this.getSize();
+        const range = this.max - this.min || 1;
+        return {
+            x: point.time * width,
+            y: height - (point.value - this.min) / range * height
+        };
+    }
+
+    /**
+     * Convert a mouse event position to a point
+     * @param {MouseEvent} event - Mouse event
+     * @returns {Object} {time, value}, clamped to the editable area
+     */
+    fromEvent(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const time = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+        const fraction = Math.min(1, Math.max(0, 1 - (event.clientY - rect.top) / rect.height));
+        return { time, value: this.min + fraction * (this.max - this.min) };
+    }
+
+    /**
+     * Find the point under a mouse event
+     * @param {MouseEvent} event - Mouse event
+     * @returns {number} Point index, or -1
+     */
+    hitTest(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const y = event.clientY - rect.top;
+        return this.points.findIndex(point => {
+            const position = this.toCanvas(point);
+            return Math.abs(position.x - x) <= 6 && Math.abs(position.y - y) <= 6;
+        });
+    }
+
+    /**
+     * Set up mouse editing
+     */
+    setupEvents() {
+        this.canvas.addEventListener('mousedown', (e) => {
+            this.dragIndex = this.hitTest(e);
+            if (this.dragIndex === -1) {
+                // Add a point and start dragging it
+                const point = this.fromEvent(e);
+                this.points.push(point);
+                this.points.sort((a, b) => a.time - b.time);
+                this.dragIndex = this.points.indexOf(point);
+                this.changed();
+            }
+        });
+
+        window.addEventListener('mousemove', (e) => {
+            if (this.dragIndex === -1) return;
+            const point = this.fromEvent(e);
+            const last = this.points.length - 1;
+
+            // End points keep their time; the others stay between their neighbours
+            if (this.dragIndex === 0) {
+                point.time = 0;
+            } else if (this.dragIndex === last) {
+                point.time = 1;
+            } else {
+                point.time = Math.min(this.points[this.dragIndex + 1].time, Math.max(this.points[this.dragIndex - 1].time, point.time));
+            }
+            this.points[this.dragIndex] = point;
+            this.changed();
+        });
+
+        window.addEventListener('mouseup', () => {
+            this.dragIndex = -1;
+        });
+
+        this.canvas.addEventListener('dblclick', (e) => {
+            const index = this.hitTest(e);
+            if (index > 0 && index < this.points.length - 1) {
+                this.points.splice(index, 1);
+                this.changed();
+            }
+        });
+    }
+
+    /**
+     * Redraw and notify after an edit
+     */
+    changed() {
+        this.draw();
+        if (this.onChange) this.onChange(this.getPoints());
+    }
+
+    /**
+     * Draw the envelope
+     */
+    draw() {
+        const ctx = this.ctx;
+        const { width, height } = this.getSize();
+        if (width === 0) return;
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+
+        // Quarter lines
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.lineWidth = 1;
+        for (let i = 1; i < 4; i++) {
+            ctx.beginPath();
+            ctx.moveTo(0, height * i / 4);
+            ctx.lineTo(width, height * i / 4);
+            ctx.stroke();
+        }
+
+        if (this.duration > 0 && typeof visualizer !== 'undefined') {
+            visualizer.drawTimeAxis(this.canvas.id, this.duration);
+        }
+
+        if (this.points.length === 0) return;
+
+        // Envelope line and fill
+        ctx.beginPath();
+        this.points.forEach((point, i) => {
+            const { x, y } = this.toCanvas(point);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.strokeStyle = '#a371f7';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        ctx.lineTo(width, height);
+        ctx.lineTo(0, height);
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(163, 113, 247, 0.15)';
+        ctx.fill();
+
+        // Handles
+        ctx.fillStyle = '#ffffff';
+        this.points.forEach(point => {
+            const { x, y } = this.toCanvas(point);
+            ctx.fillRect(x - 3, y - 3, 6, 6);
+        });
+
+        // Range labels
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.textBaseline = 'top';
+        ctx.fillText(String(this.max), 4, 2);
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(String(this.min), 4, height - 2);
+    }
+}
@@ -0,0 +1,372 @@
+/**
+ * Spectral Expression Module
+ * Parses user formulas over magnitude bins (e.g. "sqrt(A*B)") without eval and
+ * compiles them into per-bin kernels built from closures
+ */
+
+const SpectralExpression = {
+    // Per-bin and per-frame values a formula can use
+    variables: {
+        A: 'magnitude of A in this bin',
+        B: 'magnitude of B in this bin',
+        maxA: 'largest magnitude of A in this frame',
+        maxB: 'largest magnitude of B in this frame',
+        meanA: 'mean magnitude of A in this frame',
+        meanB: 'mean magnitude of B in this frame',
+        freq: 'bin centre frequency in Hz',
+        bin: 'bin index',
+        pi: 'π'
+    },
+
+    // Functions as {fn, minArgs, maxArgs}
+    functions: {
+        abs: { fn: Math.abs, minArgs: 1, maxArgs: 1 },
+        sqrt: { fn: Math.sqrt, minArgs: 1, maxArgs: 1 },
+        exp: { fn: Math.exp, minArgs: 1, maxArgs: 1 },
+        log: { fn: Math.log, minArgs: 1, maxArgs: 1 },
+        log10: { fn: Math.log10, minArgs: 1, maxArgs: 1 },
+        sin: { fn: Math.sin, minArgs: 1, maxArgs: 1 },
+        cos: { fn: Math.cos, minArgs: 1, maxArgs: 1 },
+        floor: { fn: Math.floor, minArgs: 1, maxArgs: 1 },
+        ceil: { fn: Math.ceil, minArgs: 1, maxArgs: 1 },
+        round: { fn: Math.round, minArgs: 1, maxArgs: 1 },
+        pow: { fn: Math.pow, minArgs: 2, maxArgs: 2 },
+        min: { fn: Math.min, minArgs: 1, maxArgs: Infinity },
+        max: { fn: Math.max, minArgs: 1, maxArgs: Infinity },
+        clamp: { fn: (x, lo, hi) => Math.min(Math.max(x, lo), hi), minArgs: 3, maxArgs: 3 }
+    },
+
+    // Compiled kernels, keyed by source text
+    _cache: new Map(),
+
+    /**
+     * Create a syntax error pointing at a position in the source
+     * @param {string} message - Error message
+     * @param {number} position - Character offset (0-based)
+     * @returns {Error} Error with a `position` property
+     */
+    error: (message, position) => {
+        const error = new Error(`${message} (at column ${position + 1})`);
+        error.name = 'SyntaxError';
+        error.position = position;
+        return error;
+    },
+
+    /**
+     * Split source text into tokens
+     * @param {string} source - Formula
+     * @returns {Array} Array of {type: 'number'|'name'|'op'|'end', value, position} (numbers also keep their text)
+     */
+    tokenize: (source) => {
+        const tokens = [];
+        const operators = ['<=', '>=', '==', '!=', '&&', '||', '+', '-', '*', '/', '%', '^', '(', ')', ',', '<', '>', '!', '?', ':'];
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+            if (number) {
+                tokens.push({ type: 'number', value: parseFloat(number[0]), text: number[0], position: i });
+                i += number[0].length;
+                continue;
+            }
+
+            const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+            if (name) {
+                tokens.push({ type: 'name', value: name[0], position: i });
+                i += name[0].length;
+                continue;
+            }
+
+            const operator = operators.find(op => source.startsWith(op, i));
+            if (!operator) {
+                throw SpectralExpression.error(`Unexpected character '${char}'`, i);
+            }
+            tokens.push({ type: 'op', value: operator, position: i });
+            i += operator.length;
+        }
+
+        tokens.push({ type: 'end', value: null, position: source.length });
+        return tokens;
+    },
+
+    /**
+     * Parse a formula into a syntax tree (recursive descent, usual precedence:
+     * ?: < || < && < comparisons < + - < * / % < unary < ^)
+     * @param {string} source - Formula
+     * @returns {Object} Tree of {type: 'number'|'variable'|'unary'|'binary'|'conditional'|'call', ...}
+     */
+    parse: (source) => {
+        const tokens = SpectralExpression.tokenize(source);
+        let index = 0;
+
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+        const isOp = (...values) => peek().type === 'op' && values.includes(peek().value);
+        const describe = (token) => token.type === 'end' ? 'end of formula' : `'${token.text || token.value}'`;
+        const expect = (value) => {
+            if (!isOp(value)) {
+                throw SpectralExpression.error(`Expected '${value}' but found ${describe(peek())}`, peek().position);
+            }
+            return next();
+        };
+
+        const binaryLevel = (operators, parseOperand) => () => {
+            let node = parseOperand();
+            while (isOp(...operators)) {
+                const token = next();
+                node = { type: 'binary', op: token.value, left: node, right: parseOperand(), position: token.position };
+            }
+            return node;
+        };
+
+        let parseConditional;
+
+        const parsePrimary = () => {
+            const token = next();
+            if (token.type === 'number') {
+                return { type: 'number', value: token.value, position: token.position };
+            }
+            if (token.type === 'name') {
+                if (isOp('(')) {
+                    next();
+                    const args = [];
+                    if (!isOp(')')) {
+                        args.push(parseConditional());
+                        while (isOp(',')) {
+                            next();
+                            args.push(parseConditional());
+                        }
+                    }
+                    expect(')');
+                    return { type: 'call', name: token.value, args, position: token.position };
+                }
+                return { type: 'variable', name: token.value, position: token.position };
+            }
+            if (token.type === 'op' && token.value === '(') {
+                const node = parseConditional();
+                expect(')');
+                return node;
+            }
+            if (token.type === 'end' && tokens.length === 1) {
+                throw SpectralExpression.error('Formula is empty', 0);
+            }
+            throw SpectralExpression.error(`Unexpected ${describe(token)}`, token.position);
+        };
+
+        // Right-associative; the exponent may carry a sign (A^-1)
+        const parsePower = () => {
+            const base = parsePrimary();
+            if (isOp('^')) {
+                const token = next();
+                return { type: 'binary', op: '^', left: base, right: parseUnary(), position: token.position };
+            }
+            return base;
+        };
+
+        const parseUnary = () => {
+            if (isOp('-', '+', '!')) {
+                const token = next();
+                return { type: 'unary', op: token.value, operand: parseUnary(), position: token.position };
+            }
+            return parsePower();
+        };
+
+        const parseTerm = binaryLevel(['*', '/', '%'], parseUnary);
+        const parseSum = binaryLevel(['+', '-'], parseTerm);
+        const parseComparison = binaryLevel(['<', '>', '<=', '>=', '==', '!='], parseSum);
+        const parseAnd = binaryLevel(['&&'], parseComparison);
+        const parseOr = binaryLevel(['||'], parseAnd);
+
+        parseConditional = () => {
+            const condition = parseOr();
+            if (!isOp('?')) return condition;
+            const token = next();
+            const whenTrue = parseConditional();
+            expect(':');
+            const whenFalse = parseConditional();
+            return { type: 'conditional', condition, whenTrue, whenFalse, position: token.position };
+        };
+
+        const tree = parseConditional();
+        if (peek().type !== 'end') {
+            throw SpectralExpression.error(`Unexpected ${describe(peek())}`, peek().position);
+        }
+        return tree;
+    },
+
+    /**
+     * Turn a syntax tree node into a closure over the per-bin values
+     * @param {Object} node - Syntax tree node
+     * @param {Set} used - Collects the variables the formula reads
+     * @returns {Function} (values) => number
+     */
+    compileNode: (node, used) => {
+        switch (node.type) {
+            case 'number': {
+                const value = node.value;
+                return () => value;
+            }
+
+            case 'variable': {
+                const name = node.name;
+                if (!Object.prototype.hasOwnProperty.call(SpectralExpression.variables, name)) {
+                    throw SpectralExpression.error(`Unknown variable '${name}'`, node.position);
+                }
+                if (name === 'pi') return () => Math.PI;
+                used.add(name);
+
+                // Fixed property reads are much faster than values[name] in the per-bin loop
+                switch (name) {
+                    case 'A': return (values) => values.A;
+                    case 'B': return (values) => values.B;
+                    case 'freq': return (values) => values.freq;
+                    case 'bin': return (values) => values.bin;
+                }
+                return (values) => values[name];
+            }
+
+            case 'unary': {
+                const operand = SpectralExpression.compileNode(node.operand, used);
+                if (node.op === '-') return (values) => -operand(values);
+                if (node.op === '!') return (values) => (operand(values) ? 0 : 1);
+                return operand;
+            }
+
+            case 'binary': {
+                const left = SpectralExpression.compileNode(node.left, used);
+                const right = SpectralExpression.compileNode(node.right, used);
+                switch (node.op) {
+                    case '+': return (values) => left(values) + right(values);
+                    case '-': return (values) => left(values) - right(values);
+                    case '*': return (values) => left(values) * right(values);
+                    case '/': return (values) => left(values) / right(values);
+                    case '%': return (values) => left(values) % right(values);
+                    case '^': return (values) => Math.pow(left(values), right(values));
+                    case '<': return (values) => (left(values) < right(values) ? 1 : 0);
+                    case '>': return (values) => (left(values) > right(values) ? 1 : 0);
+                    case '<=': return (values) => (left(values) <= right(values) ? 1 : 0);
+                    case '>=': return (values) => (left(values) >= right(values) ? 1 : 0);
+                    case '==': return (values) => (left(values) === right(values) ? 1 : 0);
+                    case '!=': return (values) => (left(values) !== right(values) ? 1 : 0);
+                    case '&&': return (values) => (left(values) && right(values) ? 1 : 0);
+                    case '||': return (values) => (left(values) || right(values) ? 1 : 0);
+                }
+                throw SpectralExpression.error(`Unknown operator '${node.op}'`, node.position);
+            }
+
+            case 'conditional': {
+                const condition = SpectralExpression.compileNode(node.condition, used);
+                const whenTrue = SpectralExpression.compileNode(node.whenTrue, used);
+                const whenFalse = SpectralExpression.compileNode(node.whenFalse, used);
+                return (values) => (condition(values) ? whenTrue(values) : whenFalse(values));
+            }
+
+            case 'call': {
+                const spec = Object.prototype.hasOwnProperty.call(SpectralExpression.functions, node.name)
+                    ? SpectralExpression.functions[node.name]
+                    : null;
+                if (!spec) {
+                    throw SpectralExpression.error(`Unknown function '${node.name}'`, node.position);
+                }
+                if (node.args.length < spec.minArgs || node.args.length > spec.maxArgs) {
+                    const expected = spec.minArgs === spec.maxArgs ? spec.minArgs : `at least ${spec.minArgs}`;
+                    throw SpectralExpression.error(
+                        `${node.name}() takes ${expected} argument${spec.minArgs === 1 ? '' : 's'}, got ${node.args.length}`,
+                        node.position
+                    );
+                }
+
+                const fn = spec.fn;
+                const args = node.args.map(arg => SpectralExpression.compileNode(arg, used));
+                if (args.length === 1) {
+                    const [a] = args;
+                    return (values) => fn(a(values));
+                }
+                if (args.length === 2) {
+                    const [a, b] = args;
+                    return (values) => fn(a(values), b(values));
+                }
+                return (values) => fn(...args.map(arg => arg(values)));
+            }
+        }
+        throw SpectralExpression.error('Invalid formula', node.position || 0);
+    },
+
+    /**
+     * Compile a formula into a per-bin kernel (cached by source text)
+     * @param {string} source - Formula
+     * @returns {Object} {source, evaluate(magA, magB, binHz) → Float32Array}
+     * @throws {Error} SyntaxError with a `position` property
+     */
+    compile: (source) => {
+        const cached = SpectralExpression._cache.get(source);
+        if (cached) return cached;
+
+        const used = new Set();
+        const formula = SpectralExpression.compileNode(SpectralExpression.parse(source), used);
+        const needsStats = ['maxA', 'maxB', 'meanA', 'meanB'].some(name => used.has(name));
+
+        const evaluate = (magA, magB, binHz) => {
+            const size = magA.length;
+            const values = { A: 0, B: 0, maxA: 0, maxB: 0, meanA: 0, meanB: 0, freq: 0, bin: 0 };
+
+            if (needsStats) {
+                let sumA = 0, sumB = 0;
+                for (let i = 0; i < size; i++) {
+                    sumA += magA[i];
+                    sumB += magB[i];
+                    if (magA[i] > values.maxA) values.maxA = magA[i];
+                    if (magB[i] > values.maxB) values.maxB = magB[i];
+                }
+                values.meanA = sumA / size;
+                values.meanB = sumB / size;
+            }
+
+            // Magnitudes can't be negative: negative and non-finite results become 0
+            const result = new Float32Array(size);
+            for (let i = 0; i < size; i++) {
+                values.A = magA[i];
+                values.B = magB[i];
+                values.bin = i;
+                values.freq = i * binHz;
+                const value = formula(values);
+                result[i] = value > 0 && value < Infinity ? value : 0;
+            }
+            return result;
+        };
+
+        const kernel = { source, evaluate };
+        SpectralExpression._cache.set(source, kernel);
+        if (SpectralExpression._cache.size > 32) {
+            // Validating while typing compiles every intermediate formula
+            SpectralExpression._cache.delete(SpectralExpression._cache.keys().next().value);
+        }
+        return kernel;
+    },
+
+    /**
+     * Check a formula
+     * @param {string} source - Formula
+     * @returns {Error|null} The syntax error, or null if the formula compiles
+     */
+    validate: (source) => {
+        try {
+            SpectralExpression.compile(source);
+            return null;
+        } catch (error) {
+            return error;
+        }
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpectralExpression;
+}
@@ -0,0 +1,190 @@
+/**
+ * FFT Module
+ * In-place complex FFT for any length: radix-2 Cooley-Tukey for powers of two,
+ * Bluestein's chirp-z algorithm for everything else
+ */
+
+const FFT = {
+    // Bluestein chirps and transformed kernels, keyed by length
+    _bluestein: {},
+
+    /**
+     * Check whether n is a power of two
+     * @param {number} n - Length
+     * @returns {boolean}
+     */
+    isPowerOfTwo: (n) => n > 0 && (n & (n - 1)) === 0,
+
+    /**
+     * Forward FFT of any length (in place)
+     * @param {Float32Array} real - Real part (input signal)
+     * @param {Float32Array} imag - Imaginary part (initialized to 0)
+     */
+    transform: (real, imag) => {
+        const n = real.length;
+        if (n <= 1) return;
+
+        if (FFT.isPowerOfTwo(n)) {
+            FFT.radix2(real, imag);
+        } else {
+            FFT.bluestein(real, imag);
+        }
+    },
+
+    /**
+     * Inverse FFT of any length (in place, scaled by 1/n)
+     * @param {Float32Array} real - Real part
+     * @param {Float32Array} imag - Imaginary part
+     */
+    inverse: (real, imag) => {
+        const n = real.length;
+
+        // Conjugate
+        for (let i = 0; i < n; i++) {
+            imag[i] = -imag[i];
+        }
+
+        // Forward FFT
+        FFT.transform(real, imag);
+
+        // Conjugate and scale
+        for (let i = 0; i < n; i++) {
+            real[i] /= n;
+            imag[i] = -imag[i] / n;
+        }
+    },
+
+    /**
+     * Cooley-Tukey FFT (radix-2, decimation-in-time)
+     * Much faster than DFT: O(n log n) vs O(n²)
+     * @param {Float32Array|Float64Array} real - Real part (length must be a power of two)
+     * @param {Float32Array|Float64Array} imag - Imaginary part
+     */
+    radix2: (real, imag) => {
+        const n = real.length;
+        if (n <= 1) return;
+
+        // Bit-reversal permutation
+        let j = 0;
+        for (let i = 0; i < n; i++) {
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+            let k = n >> 1;
+            while (k > 0 && k <= j) {  // Added k > 0 to prevent infinite loop!
+                j -= k;
+                k >>= 1;
+            }
+            j += k;
+        }
+
+        // FFT computation
+        for (let len = 2; len <= n; len <<= 1) {
+            const angle = -2 * Math.PI / len;
+            const wlenReal = Math.cos(angle);
+            const wlenImag = Math.sin(angle);
+
+            for (let i = 0; i < n; i += len) {
+                let wReal = 1;
+                let wImag = 0;
+
+                for (let j = 0; j < len / 2; j++) {
+                    const u = i + j;
+                    const v = u + len / 2;
+
+                    const tReal = real[v] * wReal - imag[v] * wImag;
+                    const tImag = real[v] * wImag + imag[v] * wReal;
+
+                    real[v] = real[u] - tReal;
+                    imag[v] = imag[u] - tImag;
+                    real[u] += tReal;
+                    imag[u] += tImag;
+
+                    const tempReal = wReal * wlenReal - wImag * wlenImag;
+                    wImag = wReal * wlenImag + wImag * wlenReal;
+                    wReal = tempReal;
+                }
+            }
+        }
+    },
+
+    /**
+     * Bluestein (chirp-z) FFT: rewrites a length-n DFT as a convolution,
+     * computed with power-of-two FFTs of length >= 2n - 1
+     * @param {Float32Array} real - Real part
+     * @param {Float32Array} imag - Imaginary part
+     */
+    bluestein: (real, imag) => {
+        const n = real.length;
+        const { chirpReal, chirpImag, kernelReal, kernelImag, size } = FFT.getBluestein(n);
+
+        // a_k = x_k · chirp_k
+        const aReal = new Float64Array(size);
+        const aImag = new Float64Array(size);
+        for (let k = 0; k < n; k++) {
+            aReal[k] = real[k] * chirpReal[k] - imag[k] * chirpImag[k];
+            aImag[k] = real[k] * chirpImag[k] + imag[k] * chirpReal[k];
+        }
+
+        // Convolve with the conjugate chirp (pointwise product in the frequency domain)
+        FFT.radix2(aReal, aImag);
+        for (let i = 0; i < size; i++) {
+            const re = aReal[i] * kernelReal[i] - aImag[i] * kernelImag[i];
+            aImag[i] = aReal[i] * kernelImag[i] + aImag[i] * kernelReal[i];
+            aReal[i] = re;
+        }
+
+        // Inverse power-of-two FFT via conjugation
+        for (let i = 0; i < size; i++) aImag[i] = -aImag[i];
+        FFT.radix2(aReal, aImag);
+
+        // X_k = chirp_k · (a * b)_k
+        for (let k = 0; k < n; k++) {
+            const re = aReal[k] / size;
+            const im = -aImag[k] / size;
+            real[k] = re * chirpReal[k] - im * chirpImag[k];
+            imag[k] = re * chirpImag[k] + im * chirpReal[k];
+        }
+    },
+
+    /**
+     * Get the (cached) chirp and transformed convolution kernel for length n
+     * @param {number} n - Transform length
+     * @returns {Object} {chirpReal, chirpImag, kernelReal, kernelImag, size}
+     */
+    getBluestein: (n) => {
+        if (FFT._bluestein[n]) return FFT._bluestein[n];
+
+        let size = 1;
+        while (size < 2 * n - 1) size <<= 1;
+
+        // chirp_k = e^(-iπk²/n); k² is reduced mod 2n to keep the angle accurate
+        const chirpReal = new Float64Array(n);
+        const chirpImag = new Float64Array(n);
+        for (let k = 0; k < n; k++) {
+            const angle = Math.PI * ((k * k) % (2 * n)) / n;
+            chirpReal[k] = Math.cos(angle);
+            chirpImag[k] = -Math.sin(angle);
+        }
+
+        // b_k = conj(chirp_|k|), laid out circularly for negative k
+        const kernelReal = new Float64Array(size);
+        const kernelImag = new Float64Array(size);
+        kernelReal[0] = chirpReal[0];
+        kernelImag[0] = -chirpImag[0];
+        for (let k = 1; k < n; k++) {
+            kernelReal[k] = kernelReal[size - k] = chirpReal[k];
+            kernelImag[k] = kernelImag[size - k] = -chirpImag[k];
+        }
+        FFT.radix2(kernelReal, kernelImag);
+
+        FFT._bluestein[n] = { chirpReal, chirpImag, kernelReal, kernelImag, size };
+        return FFT._bluestein[n];
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FFT;
+}
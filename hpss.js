@@ -0,0 +1,138 @@
+/**
+ * HPSS Module
+ * Harmonic/percussive/residual separation of STFT frames by median filtering:
+ * harmonic content is smooth along time, percussive content along frequency
+ */
+
+const HPSS = {
+    // Parts of an input an operation can take as its operand
+    components: {
+        full: 'Full',
+        harmonic: 'Harmonic',
+        percussive: 'Percussive',
+        residual: 'Residual'
+    },
+
+    // Default filter lengths and separation margin (see getKernels and separate)
+    defaults: {
+        harmonic: 200, // ms along time
+        percussive: 500, // Hz along frequency
+        margin: 2
+    },
+
+    /**
+     * Turn filter lengths in ms and Hz into odd frame and bin counts
+     * @param {number} harmonicMs - Length of the time median filter
+     * @param {number} percussiveHz - Length of the frequency median filter
+     * @param {number} hopSeconds - Time between frames
+     * @param {number} binHz - Frequency spacing of the bins
+     * @returns {Object} {harmonicFrames, percussiveBins}
+     */
+    getKernels: (harmonicMs, percussiveHz, hopSeconds, binHz) => {
+        const odd = value => Math.max(1, 2 * Math.floor(value / 2) + 1);
+        return {
+            harmonicFrames: odd(Math.round(harmonicMs / 1000 / hopSeconds)),
+            percussiveBins: odd(Math.round(percussiveHz / binHz))
+        };
+    },
+
+    /**
+     * Centred running median (the window shrinks at the ends). Keeps the window
+     * sorted and moves it one value at a time instead of sorting every window
+     * @param {Float32Array} values - Input values
+     * @param {number} length - Window length (odd)
+     * @param {Float32Array} output - Filtered values (same length as values)
+     */
+    medianFilter: (values, length, output) => {
+        const n = values.length;
+        const radius = Math.floor(length / 2);
+        const window = new Float64Array(Math.min(length, n));
+        let size = 0;
+
+        const insert = value => {
+            let i = size++;
+            while (i > 0 && window[i - 1] > value) {
+                window[i] = window[i - 1];
+                i--;
+            }
+            window[i] = value;
+        };
+        const remove = value => {
+            let i = 0;
+            while (i < size - 1 && window[i] !== value) i++;
+            for (; i < size - 1; i++) window[i] = window[i + 1];
+            size--;
+        };
+
+        for (let i = 0; i < Math.min(radius, n); i++) insert(values[i]);
+        for (let i = 0; i < n; i++) {
+            if (i - radius - 1 >= 0) remove(values[i - radius - 1]);
+            if (i + radius < n) insert(values[i + radius]);
+            output[i] = size % 2 === 1
+                ? window[(size - 1) / 2]
+                : 0.5 * (window[size / 2 - 1] + window[size / 2]);
+        }
+    },
+
+    /**
+     * Split frames into harmonic, percussive and residual parts. Soft masks
+     * compare the time-smoothed (harmonic) and frequency-smoothed (percussive)
+     * magnitudes; a bin only counts as harmonic where H clearly exceeds P by the
+     * margin (and vice versa), whatever is left is the residual. The three masks
+     * sum to 1, so the parts add back up to the input. Phases are kept.
+     * @param {Array} frames - Array of {magnitude, phase} frames
+     * @param {Object} settings - {harmonicFrames, percussiveBins, margin (>= 1)}
+     * @returns {Object} {harmonic, percussive, residual}: arrays of {magnitude, phase} frames
+     */
+    separate: (frames, settings) => {
+        const parts = { harmonic: [], percussive: [], residual: [] };
+        if (frames.length === 0) return parts;
+
+        const numFrames = frames.length;
+        const numBins = frames[0].magnitude.length;
+        const margin = Math.max(1, settings.margin);
+
+        // Median along time, one bin at a time
+        const harmonic = frames.map(() => new Float32Array(numBins));
+        const column = new Float32Array(numFrames);
+        const filtered = new Float32Array(numFrames);
+        for (let k = 0; k < numBins; k++) {
+            for (let i = 0; i < numFrames; i++) column[i] = frames[i].magnitude[k];
+            HPSS.medianFilter(column, settings.harmonicFrames, filtered);
+            for (let i = 0; i < numFrames; i++) harmonic[i][k] = filtered[i];
+        }
+
+        const percussive = new Float32Array(numBins);
+        frames.forEach((frame, i) => {
+            // Median along frequency within the frame
+            HPSS.medianFilter(frame.magnitude, settings.percussiveBins, percussive);
+
+            const magnitudes = {
+                harmonic: new Float32Array(numBins),
+                percussive: new Float32Array(numBins),
+                residual: new Float32Array(numBins)
+            };
+            for (let k = 0; k < numBins; k++) {
+                const h = harmonic[i][k] * harmonic[i][k];
+                const p = percussive[k] * percussive[k];
+                const maskH = h > 0 ? h / (h + margin * margin * p) : 0;
+                const maskP = p > 0 ? p / (p + margin * margin * h) : 0;
+                const m = frame.magnitude[k];
+                magnitudes.harmonic[k] = maskH * m;
+                magnitudes.percussive[k] = maskP * m;
+                magnitudes.residual[k] = Math.max(0, 1 - maskH - maskP) * m;
+            }
+
+            Object.keys(parts).forEach(part => {
+                parts[part].push({ magnitude: magnitudes[part], phase: frame.phase });
+            });
+        });
+
+        return parts;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HPSS;
+}
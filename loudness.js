@@ -0,0 +1,179 @@
+/**
+ * Loudness Module
+ * Level measurements for output gain: sample peak, RMS and integrated
+ * loudness (ITU-R BS.1770, K-weighted and gated, in LUFS)
+ */
+
+const Loudness = {
+    // Highest peak allowed when clipping prevention limits the gain (dBFS)
+    ceiling: -0.1,
+
+    // Default target per gain mode (peak 0.95 as before gain modes existed)
+    defaultTargets: {
+        peak: 20 * Math.log10(0.95),
+        rms: -18,
+        lufs: -16
+    },
+
+    /**
+     * Sample peak of all channels
+     * @param {Float32Array[]} channels - Channel data
+     * @returns {number} dBFS (-Infinity for silence)
+     */
+    peak: (channels) => {
+        let max = 0;
+        channels.forEach(data => {
+            for (let i = 0; i < data.length; i++) {
+                const abs = Math.abs(data[i]);
+                if (abs > max) max = abs;
+            }
+        });
+        return 20 * Math.log10(max);
+    },
+
+    /**
+     * RMS level over all channels
+     * @param {Float32Array[]} channels - Channel data
+     * @returns {number} dBFS (-Infinity for silence)
+     */
+    rms: (channels) => {
+        let sum = 0, count = 0;
+        channels.forEach(data => {
+            for (let i = 0; i < data.length; i++) {
+                sum += data[i] * data[i];
+            }
+            count += data.length;
+        });
+        return 10 * Math.log10(count > 0 ? sum / count : 0);
+    },
+
+    /**
+     * K-weighting filter: the BS.1770 high shelf (head effects) followed by
+     * the RLB high-pass, with coefficients derived for any sample rate
+     * @param {Float32Array} data - Samples
+     * @param {number} sampleRate - Sample rate
+     * @returns {Float32Array} Filtered samples
+     */
+    kWeight: (data, sampleRate) => {
+        // Stage 1: high shelf, +4 dB above ~1.7 kHz
+        let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+        let Q = 0.7071752369554196;
+        const Vh = Math.pow(10, 3.999843853973347 / 20);
+        const Vb = Math.pow(Vh, 0.4996667741545416);
+        let a0 = 1 + K / Q + K * K;
+        const shelf = {
+            b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+            a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+        };
+
+        // Stage 2: high-pass at ~38 Hz
+        K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+        Q = 0.5003270373238773;
+        a0 = 1 + K / Q + K * K;
+        const highPass = {
+            b: [1, -2, 1],
+            a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+        };
+
+        return Loudness.biquad(Loudness.biquad(data, shelf), highPass);
+    },
+
+    /**
+     * Run a biquad filter (direct form I)
+     * @param {Float32Array} data - Samples
+     * @param {Object} filter - {b: [b0, b1, b2], a: [a1, a2]} (a0 = 1)
+     * @returns {Float32Array} Filtered samples
+     */
+    biquad: (data, filter) => {
+        const [b0, b1, b2] = filter.b;
+        const [a1, a2] = filter.a;
+        const output = new Float32Array(data.length);
+        let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+        for (let i = 0; i < data.length; i++) {
+            const x = data[i];
+            const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+            output[i] = y;
+            x2 = x1; x1 = x;
+            y2 = y1; y1 = y;
+        }
+        return output;
+    },
+
+    /**
+     * BS.1770 channel weight: LFE (4th of 6) is left out, surrounds count +1.5 dB
+     * @param {number} channel - Channel index
+     * @param {number} count - Number of channels
+     * @returns {number}
+     */
+    channelWeight: (channel, count) => {
+        if (count === 6 && channel === 3) return 0;
+        if (count >= 5 && channel >= count - 2) return 1.41;
+        return 1;
+    },
+
+    /**
+     * Integrated loudness: mean square of K-weighted 400 ms blocks (75% overlap),
+     * gated at -70 LUFS and then 10 LU below the mean of the remaining blocks
+     * @param {Float32Array[]} channels - Channel data
+     * @param {number} sampleRate - Sample rate
+     * @returns {number} LUFS (-Infinity for silence)
+     */
+    integrated: (channels, sampleRate) => {
+        const length = channels.length > 0 ? channels[0].length : 0;
+        if (length === 0) return -Infinity;
+
+        const weighted = channels.map(data => Loudness.kWeight(data, sampleRate));
+        const blockSize = Math.min(length, Math.round(0.4 * sampleRate));
+        const step = Math.max(1, Math.round(blockSize / 4));
+
+        // Weighted mean square of every block
+        const blocks = [];
+        for (let start = 0; start + blockSize <= length; start += step) {
+            let power = 0;
+            weighted.forEach((data, c) => {
+                const weight = Loudness.channelWeight(c, channels.length);
+                if (weight === 0) return;
+                let sum = 0;
+                for (let i = start; i < start + blockSize; i++) {
+                    sum += data[i] * data[i];
+                }
+                power += weight * sum / blockSize;
+            });
+            blocks.push(power);
+        }
+
+        const loudness = power => -0.691 + 10 * Math.log10(power);
+        const gatedMean = threshold => {
+            let sum = 0, count = 0;
+            blocks.forEach(power => {
+                if (loudness(power) > threshold) {
+                    sum += power;
+                    count++;
+                }
+            });
+            return count > 0 ? sum / count : 0;
+        };
+
+        const absolute = gatedMean(-70);
+        if (absolute === 0) return -Infinity;
+        return loudness(gatedMean(loudness(absolute) - 10));
+    },
+
+    /**
+     * Measure a level in the unit of a gain mode
+     * @param {Float32Array[]} channels - Channel data
+     * @param {number} sampleRate - Sample rate
+     * @param {string} mode - 'peak' or 'rms' (dBFS), 'lufs' (LUFS)
+     * @returns {number}
+     */
+    measure: (channels, sampleRate, mode) => {
+        if (mode === 'peak') return Loudness.peak(channels);
+        if (mode === 'rms') return Loudness.rms(channels);
+        return Loudness.integrated(channels, sampleRate);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Loudness;
+}
@@ -0,0 +1,114 @@
+/**
+ * Multiband Module
+ * Splits the spectrum at crossover frequencies into bands that each get their
+ * own operation (or pass one input through unchanged), with smooth transitions
+ */
+
+const Multiband = {
+    // Band sources that pass an input through instead of running an operation
+    passThrough: {
+        passA: 'Pass A',
+        passB: 'Pass B'
+    },
+
+    /**
+     * Clean up band settings: crossovers sorted and clamped to 1 Hz-Nyquist,
+     * one band per region between them (band b lies above crossover b-1)
+     * @param {Object} multiband - {crossovers: [Hz], transition (octaves), bands: [{operation, params}]}
+     * @param {number} sampleRate - Processing sample rate
+     * @returns {Object|null} Normalised settings, or null if there is only one band
+     */
+    normalize: (multiband, sampleRate) => {
+        if (!multiband || !multiband.bands || multiband.bands.length < 2) return null;
+
+        const nyquist = sampleRate / 2;
+        const crossovers = (multiband.crossovers || [])
+            .slice(0, multiband.bands.length - 1)
+            .filter(freq => typeof freq === 'number' && !isNaN(freq))
+            .map(freq => Math.min(nyquist, Math.max(1, freq)))
+            .sort((a, b) => a - b);
+        if (crossovers.length === 0) return null;
+
+        return {
+            crossovers,
+            transition: Math.max(0, multiband.transition || 0),
+            bands: multiband.bands.slice(0, crossovers.length + 1)
+        };
+    },
+
+    /**
+     * Weight of every band at every bin. Each crossover fades between its two
+     * bands with a raised cosine spanning `transition` octaves, centred on the
+     * crossover; the weights of all bands sum to 1 at every bin
+     * @param {number} numBins - Bins per frame
+     * @param {number} binHz - Frequency spacing of the bins
+     * @param {Array} crossovers - Sorted crossover frequencies in Hz
+     * @param {number} transition - Transition width in octaves (0 = hard edge)
+     * @returns {Float32Array[]} One weight array per band
+     */
+    getWeights: (numBins, binHz, crossovers, transition) => {
+        // Fraction of each bin that lies above each crossover
+        const above = crossovers.map(crossover => {
+            const fraction = new Float32Array(numBins);
+            for (let k = 0; k < numBins; k++) {
+                const octaves = Math.log2(k * binHz / crossover); // -Infinity at DC
+                if (transition <= 0) {
+                    fraction[k] = octaves >= 0 ? 1 : 0;
+                } else {
+                    const position = Math.min(1, Math.max(0, octaves / transition + 0.5));
+                    fraction[k] = 0.5 - 0.5 * Math.cos(Math.PI * position);
+                }
+            }
+            return fraction;
+        });
+
+        // Band b lies above crossover b-1 and below crossover b
+        const weights = [];
+        for (let b = 0; b <= crossovers.length; b++) {
+            const weight = new Float32Array(numBins);
+            for (let k = 0; k < numBins; k++) {
+                const lower = b > 0 ? above[b - 1][k] : 1;
+                const upper = b < crossovers.length ? above[b][k] : 0;
+                weight[k] = Math.max(0, lower - upper);
+            }
+            weights.push(weight);
+        }
+        return weights;
+    },
+
+    /**
+     * Mix band outputs by their weights. Bands are summed as complex bins, so
+     * bands sharing a phase crossfade in magnitude and pass-through bands keep
+     * their own phase
+     * @param {Array} outputs - {magnitude, phase} per band
+     * @param {Float32Array[]} weights - Weights per band (see getWeights)
+     * @returns {Object} {magnitude, phase}
+     */
+    mix: (outputs, weights) => {
+        const size = outputs[0].magnitude.length;
+        const real = new Float32Array(size);
+        const imag = new Float32Array(size);
+        outputs.forEach((output, b) => {
+            const weight = weights[b];
+            for (let k = 0; k < size; k++) {
+                if (weight[k] === 0) continue;
+                const value = weight[k] * output.magnitude[k];
+                real[k] += value * Math.cos(output.phase[k]);
+                imag[k] += value * Math.sin(output.phase[k]);
+            }
+        });
+
+        const magnitude = new Float32Array(size);
+        const phase = new Float32Array(size);
+        for (let k = 0; k < size; k++) {
+            magnitude[k] = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]);
+            phase[k] = Math.atan2(imag[k], real[k]);
+        }
+        return { magnitude, phase };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Multiband;
+}
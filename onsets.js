@@ -0,0 +1,164 @@
+/**
+ * Onsets Module
+ * Onset detection by spectral flux, and frame mappings that play the frames
+ * around each onset unstretched so transients keep their attack
+ */
+
+const Onsets = {
+    // Shortest time between two onsets, in seconds
+    minGap: 0.05,
+
+    // Frames either side of a peak it must exceed, and the frames before it
+    // (and after, up to `peakRadius`) whose mean sets the local threshold
+    peakRadius: 3,
+    meanBefore: 10,
+
+    // How far above the local mean a peak must rise: by this factor (so steady
+    // noisy passages don't trigger) plus a margin the sensitivity sets
+    meanFactor: 1.25,
+
+    /**
+     * Onset strength per frame: the rise in log magnitude since the previous
+     * frame, averaged over bins (a drum hit reaches about 1, a soft note onset a few hundredths)
+     * @param {Array} frames - {magnitude} frames
+     * @returns {Float32Array}
+     */
+    strength: (frames) => {
+        const strength = new Float32Array(frames.length);
+        if (frames.length < 2) return strength;
+
+        // Log compression relative to the loudest bin, so the result doesn't depend on level
+        let peak = 0;
+        frames.forEach(frame => {
+            peak = Math.max(peak, findMax(frame.magnitude));
+        });
+        if (!(peak > 0)) return strength;
+        const scale = 100 / peak;
+
+        const numBins = frames[0].magnitude.length;
+        let previous = frames[0].magnitude.map(m => Math.log(1 + scale * m));
+        for (let i = 1; i < frames.length; i++) {
+            const current = frames[i].magnitude.map(m => Math.log(1 + scale * m));
+            let sum = 0;
+            for (let k = 0; k < numBins; k++) {
+                const rise = current[k] - previous[k];
+                if (rise > 0) sum += rise;
+            }
+            strength[i] = sum / numBins;
+            previous = current;
+        }
+        return strength;
+    },
+
+    /**
+     * Onset frames: peaks of the onset strength that stand out from the local
+     * mean (see meanFactor) by a margin the sensitivity lowers from 0.2 to 0.002
+     * @param {Array} frames - {magnitude} frames
+     * @param {number} sensitivity - 0-100 (more onsets at higher values)
+     * @param {number} hopSeconds - Time between frames
+     * @returns {Int32Array} Frame index of every onset, ascending
+     */
+    detect: (frames, sensitivity, hopSeconds) => {
+        const strength = Onsets.strength(frames);
+        const margin = 0.2 * Math.pow(10, -2 * Math.min(100, Math.max(0, sensitivity)) / 100);
+        const minGap = Math.max(1, Math.round(Onsets.minGap / hopSeconds));
+        const radius = Onsets.peakRadius;
+
+        const onsets = [];
+        for (let i = 1; i < strength.length; i++) {
+            const value = strength[i];
+            let isPeak = value > 0;
+            for (let j = Math.max(0, i - radius); j <= Math.min(strength.length - 1, i + radius) && isPeak; j++) {
+                if (strength[j] > value || (strength[j] === value && j < i)) isPeak = false;
+            }
+            if (!isPeak) continue;
+
+            let sum = 0, count = 0;
+            for (let j = Math.max(0, i - Onsets.meanBefore); j <= Math.min(strength.length - 1, i + radius); j++) {
+                sum += strength[j];
+                count++;
+            }
+            if (value < Onsets.meanFactor * sum / count + margin) continue;
+            if (onsets.length > 0 && i - onsets[onsets.length - 1] < minGap) continue;
+            onsets.push(i);
+        }
+        return Int32Array.from(onsets);
+    },
+
+    /**
+     * Even mapping of output frames onto a source, first frame to last
+     * @param {number} sourceFrames - Source frame count
+     * @param {number} targetFrames - Output frame count
+     * @returns {Float32Array} Fractional source frame per output frame
+     */
+    linearPositions: (sourceFrames, targetFrames) => {
+        const step = targetFrames > 1 ? (sourceFrames - 1) / (targetFrames - 1) : 0;
+        return Float32Array.from({ length: targetFrames }, (_, t) => t * step);
+    },
+
+    /**
+     * Lock a frame mapping to the onsets: around each onset a block of source
+     * frames is played one per output frame (unstretched), starting where the
+     * mapping reaches it; the mapping between blocks is rescaled to join them,
+     * so all of the stretching happens between transients
+     * @param {Float32Array} positions - Fractional source frame per output frame (non-decreasing)
+     * @param {Int32Array} onsets - Onset frames of the source
+     * @param {number} span - Frames per block
+     * @param {number} before - Frames of a block before its onset (the attack starts
+     *   within the window of earlier frames)
+     * @param {number} sourceFrames - Source frame count
+     * @returns {Object} {positions, locked (1 for output frames inside a block)}
+     */
+    lockPositions: (positions, onsets, span, before, sourceFrames) => {
+        const targetFrames = positions.length;
+        const locked = new Uint8Array(targetFrames);
+        const result = Float32Array.from(positions);
+
+        // Blocks as {time: first output frame, frame: first source frame, length}
+        const blocks = [];
+        let lastTime = -1, lastFrame = -1;
+        for (let o = 0; o < onsets.length; o++) {
+            const frame = Math.max(0, onsets[o] - before, lastFrame + 1);
+            let length = Math.min(onsets[o] - before + span, sourceFrames) - frame;
+            if (length <= 0) continue;
+
+            let time = lastTime + 1;
+            while (time < targetFrames && positions[time] < frame) time++;
+            length = Math.min(length, targetFrames - time);
+            if (length <= 0) break;
+
+            blocks.push({ time, frame, length });
+            lastTime = time + length - 1;
+            lastFrame = frame + length - 1;
+        }
+
+        blocks.forEach(({ time, frame, length }) => {
+            for (let k = 0; k < length; k++) {
+                result[time + k] = frame + k;
+                locked[time + k] = 1;
+            }
+        });
+
+        // Rescale the mapping between consecutive anchors (block edges, or the ends of the output)
+        const anchors = [0];
+        blocks.forEach(({ time, length }) => anchors.push(time, time + length - 1));
+        anchors.push(targetFrames - 1);
+        for (let a = 0; a < anchors.length - 1; a += 2) {
+            const left = anchors[a], right = anchors[a + 1];
+            if (right - left < 2) continue;
+            const from = positions[left], to = positions[right];
+            const start = result[left], end = result[right];
+            for (let t = left + 1; t < right; t++) {
+                const fraction = to > from ? (positions[t] - from) / (to - from) : (t - left) / (right - left);
+                result[t] = start + (end - start) * fraction;
+            }
+        }
+
+        return { positions: result, locked };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Onsets;
+}
@@ -20,7 +20,254 @@ function findMin(arr) {
     return min;
 }
 
+// Square a complex spectrum, normalised by its peak magnitude
+function complexSquare(re, im) {
+    let max = 0;
+    for (let i = 0; i < re.length; i++) {
+        const mag = Math.sqrt(re[i] * re[i] + im[i] * im[i]);
+        if (mag > max) max = mag;
+    }
+    const scale = 1 / (max || 1);
+    const real = new Float32Array(re.length);
+    const imag = new Float32Array(re.length);
+    for (let i = 0; i < re.length; i++) {
+        real[i] = (re[i] * re[i] - im[i] * im[i]) * scale;
+        imag[i] = 2 * re[i] * im[i] * scale;
+    }
+    return { real, imag };
+}
+
+// Raise magnitudes to a power, normalised by their peak so the level stays put
+function powerNormalized(mag, exponent) {
+    const max = findMax(mag);
+    const result = new Float32Array(mag.length);
+    for (let i = 0; i < mag.length; i++) {
+        result[i] = Math.pow(mag[i] / (max || 1), exponent) * max;
+    }
+    return result;
+}
+
+// Pass mag where key is above threshold dB (relative to key's peak), scale by reduction dB elsewhere
+function gate(mag, key, params) {
+    const threshold = findMax(key) * Math.pow(10, params.threshold / 20);
+    const reduction = Math.pow(10, params.reduction / 20);
+    const result = new Float32Array(mag.length);
+    for (let i = 0; i < mag.length; i++) {
+        result[i] = key[i] >= threshold ? mag[i] : mag[i] * reduction;
+    }
+    return result;
+}
+
+// Average of a list of magnitude frames
+function averageFrames(frames) {
+    const result = new Float32Array(frames[0].length);
+    frames.forEach(frame => {
+        for (let i = 0; i < result.length; i++) {
+            result[i] += frame[i];
+        }
+    });
+    for (let i = 0; i < result.length; i++) {
+        result[i] /= frames.length;
+    }
+    return result;
+}
+
+// Box average over ±width bins
+function smoothBins(values, width) {
+    if (width <= 0) return values;
+    const size = values.length;
+    const result = new Float32Array(size);
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < Math.min(width, size); i++) {
+        sum += values[i];
+        count++;
+    }
+    for (let i = 0; i < size; i++) {
+        if (i + width < size) {
+            sum += values[i + width];
+            count++;
+        }
+        if (i - width - 1 >= 0) {
+            sum -= values[i - width - 1];
+            count--;
+        }
+        result[i] = sum / count;
+    }
+    return result;
+}
+
+// Noise reduction gain for A's magnitudes against state.noiseProfile (see FFTOperations.setup.denoise):
+// Wiener (decision-directed a priori SNR) or power spectral subtraction. The noisy power is
+// smoothed over frequency before the gain is worked out (isolated noise peaks are averaged
+// away, strong partials stay well above the noise) and the gain's release is smoothed over time
+function denoiseGain(magA, params) {
+    const state = params.state || {};
+    const size = magA.length;
+    const profile = state.noiseProfile || new Float32Array(size);
+    const alpha = params.overSubtraction;
+
+    const power = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        power[i] = magA[i] * magA[i];
+    }
+    const width = params.binHz > 0 ? Math.round(params.freqSmoothing / params.binHz) : 0;
+    const smoothedPower = smoothBins(power, width);
+
+    const gain = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        const noise = alpha * profile[i] * profile[i];
+        const noisy = smoothedPower[i];
+        if (noise <= 0) {
+            gain[i] = 1;
+        } else if (params.method === 'subtraction') {
+            gain[i] = noisy > 0 ? Math.sqrt(Math.max(0, 1 - noise / noisy)) : 0;
+        } else {
+            // A priori SNR: mostly last frame's cleaned estimate, partly this frame's excess
+            const previous = state.cleanPower ? state.cleanPower[i] : Math.max(0, noisy - noise);
+            const snr = 0.98 * previous / noise + 0.02 * Math.max(0, noisy / noise - 1);
+            gain[i] = snr / (1 + snr);
+        }
+    }
+
+    // Time smoothing: the gain opens at once (keeping onsets) but closes with the
+    // given time constant, so it doesn't flicker on and off with the noise
+    const hopMs = (params.hopSeconds || 0) * 1000;
+    const retain = params.timeSmoothing > 0 && hopMs > 0 ? Math.exp(-hopMs / params.timeSmoothing) : 0;
+    if (state.gain && retain > 0) {
+        for (let i = 0; i < size; i++) {
+            if (gain[i] < state.gain[i]) {
+                gain[i] = retain * state.gain[i] + (1 - retain) * gain[i];
+            }
+        }
+    }
+    state.gain = gain;
+
+    const floor = Math.pow(10, params.floor / 20);
+    const result = new Float32Array(size);
+    const cleanPower = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        result[i] = Math.max(floor, gain[i]);
+        cleanPower[i] = result[i] * result[i] * smoothedPower[i];
+    }
+    state.cleanPower = cleanPower;
+    return result;
+}
+
 const FFTOperations = {
+    // Tunable parameters per operation: {name, label, min, max, step, default, unit, automatable},
+    // or {name, label, options: [{value, label}], default} for a choice.
+    // Operations receive the values (defaults filled in) as their third argument;
+    // automatable ones can follow an envelope over the output (see AudioProcessor.process).
+    // During processing the third argument also carries the frame history for temporal
+    // operations: state (an object kept across the frames of one channel, set up by
+    // FFTOperations.setup if the operation has an entry there), frameIndex, frameCount and hopSeconds.
+    schema: {
+        crossSynthesis: [
+            {
+                name: 'method',
+                label: 'Envelope',
+                options: [{ value: 'cepstral', label: 'Cepstral' }, { value: 'lpc', label: 'LPC' }],
+                default: 'cepstral'
+            },
+            { name: 'order', label: 'Lifter / order', min: 4, max: 120, step: 1, default: 30, unit: '' }
+        ],
+        crossSynthesisReverse: [
+            {
+                name: 'method',
+                label: 'Envelope',
+                options: [{ value: 'cepstral', label: 'Cepstral' }, { value: 'lpc', label: 'LPC' }],
+                default: 'cepstral'
+            },
+            { name: 'order', label: 'Lifter / order', min: 4, max: 120, step: 1, default: 30, unit: '' }
+        ],
+        morph: [
+            { name: 'amount', label: 'Amount (A→B)', min: 0, max: 1, step: 0.01, default: 0.5, unit: '', automatable: true }
+        ],
+        morphLog: [
+            { name: 'amount', label: 'Amount (A→B)', min: 0, max: 1, step: 0.01, default: 0.5, unit: '', automatable: true }
+        ],
+        subtract: [
+            { name: 'overSubtraction', label: 'Over-subtraction', min: 0, max: 4, step: 0.1, default: 1, unit: '×' },
+            { name: 'floor', label: 'Floor', min: 0, max: 50, step: 1, default: 0, unit: '% of A' }
+        ],
+        powerA: [
+            { name: 'exponent', label: 'Exponent', min: 0.1, max: 4, step: 0.05, default: 2, unit: '' }
+        ],
+        powerB: [
+            { name: 'exponent', label: 'Exponent', min: 0.1, max: 4, step: 0.05, default: 2, unit: '' }
+        ],
+        softMin: [
+            { name: 'smoothness', label: 'Smoothness', min: 0, max: 100, step: 1, default: 10, unit: '% of peak' }
+        ],
+        softMax: [
+            { name: 'smoothness', label: 'Smoothness', min: 0, max: 100, step: 1, default: 10, unit: '% of peak' }
+        ],
+        gateA: [
+            { name: 'threshold', label: 'Threshold', min: -80, max: 0, step: 1, default: -40, unit: 'dB' },
+            { name: 'reduction', label: 'Reduction', min: -80, max: 0, step: 1, default: -80, unit: 'dB' }
+        ],
+        gateAByB: [
+            { name: 'threshold', label: 'Threshold', min: -80, max: 0, step: 1, default: -40, unit: 'dB' },
+            { name: 'reduction', label: 'Reduction', min: -80, max: 0, step: 1, default: -80, unit: 'dB' }
+        ],
+        freeze: [
+            { name: 'input', label: 'Input', options: [{ value: 'a', label: 'A' }, { value: 'b', label: 'B' }], default: 'a' },
+            {
+                name: 'mode',
+                label: 'Hold',
+                options: [{ value: 'frame', label: 'Single frame' }, { value: 'average', label: 'Average' }],
+                default: 'frame'
+            },
+            { name: 'position', label: 'Freeze at', min: 0, max: 100, step: 1, default: 25, unit: '% of output' },
+            { name: 'capture', label: 'Average over', min: 1, max: 200, step: 1, default: 20, unit: 'frames' }
+        ],
+        blur: [
+            { name: 'input', label: 'Input', options: [{ value: 'a', label: 'A' }, { value: 'b', label: 'B' }], default: 'a' },
+            {
+                name: 'mode',
+                label: 'Mode',
+                options: [{ value: 'average', label: 'Moving average' }, { value: 'peakHold', label: 'Peak hold' }],
+                default: 'average'
+            },
+            { name: 'frames', label: 'Length', min: 1, max: 100, step: 1, default: 8, unit: 'frames' }
+        ],
+        spectralDelay: [
+            { name: 'input', label: 'Input', options: [{ value: 'a', label: 'A' }, { value: 'b', label: 'B' }], default: 'a' },
+            { name: 'delayLow', label: 'Delay (low)', min: 0, max: 2000, step: 10, default: 100, unit: 'ms' },
+            { name: 'delayHigh', label: 'Delay (high)', min: 0, max: 2000, step: 10, default: 600, unit: 'ms' },
+            { name: 'feedback', label: 'Feedback', min: 0, max: 95, step: 1, default: 50, unit: '%' },
+            { name: 'mix', label: 'Mix', min: 0, max: 100, step: 1, default: 50, unit: '%' }
+        ],
+        denoise: [
+            {
+                name: 'method',
+                label: 'Method',
+                options: [{ value: 'wiener', label: 'Wiener' }, { value: 'subtraction', label: 'Spectral subtraction' }],
+                default: 'wiener'
+            },
+            {
+                name: 'profile',
+                label: 'Noise profile',
+                options: [{ value: 'mean', label: 'Mean' }, { value: 'percentile', label: 'Percentile' }],
+                default: 'mean'
+            },
+            { name: 'percentile', label: 'Percentile', min: 0, max: 100, step: 1, default: 50, unit: '%' },
+            { name: 'regionStart', label: 'Profile from', min: 0, max: 100, step: 1, default: 0, unit: '% of B' },
+            { name: 'regionEnd', label: 'Profile to', min: 0, max: 100, step: 1, default: 100, unit: '% of B' },
+            { name: 'overSubtraction', label: 'Over-subtraction', min: 0.5, max: 4, step: 0.1, default: 1.5, unit: '×' },
+            { name: 'floor', label: 'Floor', min: -60, max: 0, step: 1, default: -20, unit: 'dB' },
+            { name: 'timeSmoothing', label: 'Time smoothing', min: 0, max: 500, step: 10, default: 50, unit: 'ms' },
+            { name: 'freqSmoothing', label: 'Frequency smoothing', min: 0, max: 500, step: 10, default: 50, unit: 'Hz' }
+        ]
+    },
+
+    // Per-channel setup for operations that need more than the current frame pair
+    // (called once before the first frame with the unstretched frames; returns the initial state)
+    setup: {
+        denoise: (framesA, framesB, params) => ({ noiseProfile: FFTOperations.noiseProfile(framesB, params) })
+    },
+
     /**
      * AND operation: min(magA, magB)
      * Extracts common spectral content
@@ -140,30 +387,342 @@ const FFTOperations = {
     },
 
     /**
-     * Subtract operation: max(0, magA - magB)
-     * Extracts A's unique content
+     * Subtract operation: max(floor·magA, magA - overSubtraction·magB)
+     * Extracts A's unique content; over-subtraction removes more of B,
+     * the floor keeps some of A everywhere (less "musical noise")
+     */
+    subtract: (magA, magB, params = FFTOperations.getParams('subtract')) => {
+        const alpha = params.overSubtraction;
+        const floor = params.floor / 100;
+        const result = new Float32Array(magA.length);
+        for (let i = 0; i < magA.length; i++) {
+            result[i] = Math.max(floor * magA[i], magA[i] - alpha * magB[i]);
+        }
+        return result;
+    },
+
+    /**
+     * Morph: linear interpolation (1 - amount)·magA + amount·magB
+     */
+    morph: (magA, magB, params = FFTOperations.getParams('morph')) => {
+        const t = params.amount;
+        const result = new Float32Array(magA.length);
+        for (let i = 0; i < magA.length; i++) {
+            result[i] = (1 - t) * magA[i] + t * magB[i];
+        }
+        return result;
+    },
+
+    /**
+     * Log morph: geometric interpolation magA^(1 - amount)·magB^amount,
+     * i.e. linear in dB, so partials fade through instead of crossfading
+     */
+    morphLog: (magA, magB, params = FFTOperations.getParams('morphLog')) => {
+        const t = params.amount;
+        const result = new Float32Array(magA.length);
+        for (let i = 0; i < magA.length; i++) {
+            result[i] = Math.pow(magA[i], 1 - t) * Math.pow(magB[i], t);
+        }
+        return result;
+    },
+
+    /**
+     * Cross-synthesis: A's fine structure (A flattened by its own envelope)
+     * shaped by B's spectral envelope, i.e. A "speaking" with B's formants
+     */
+    crossSynthesis: (magA, magB, params = FFTOperations.getParams('crossSynthesis')) => {
+        return SpectralEnvelope.crossSynthesize(magA, magB, params.method, params.order);
+    },
+
+    /**
+     * Reverse cross-synthesis: B's fine structure shaped by A's envelope
+     */
+    crossSynthesisReverse: (magA, magB, params = FFTOperations.getParams('crossSynthesisReverse')) => {
+        return SpectralEnvelope.crossSynthesize(magB, magA, params.method, params.order);
+    },
+
+    /**
+     * Power A: magA^exponent, normalised by A's peak like A²
+     */
+    powerA: (magA, magB, params = FFTOperations.getParams('powerA')) => powerNormalized(magA, params.exponent),
+
+    /**
+     * Power B: magB^exponent, normalised by B's peak like B²
+     */
+    powerB: (magA, magB, params = FFTOperations.getParams('powerB')) => powerNormalized(magB, params.exponent),
+
+    /**
+     * Soft AND: smooth minimum of magA and magB
+     * Equal to min() where the inputs differ by more than the smoothness
+     * (relative to the frame peak) and blends them where they are close
+     */
+    softMin: (magA, magB, params = FFTOperations.getParams('softMin')) => {
+        const k = params.smoothness / 100 * Math.max(findMax(magA), findMax(magB));
+        if (k <= 0) return FFTOperations.and(magA, magB);
+
+        const result = new Float32Array(magA.length);
+        for (let i = 0; i < magA.length; i++) {
+            const h = Math.min(1, Math.max(0, 0.5 + 0.5 * (magB[i] - magA[i]) / k));
+            result[i] = Math.max(0, magB[i] + (magA[i] - magB[i]) * h - k * h * (1 - h));
+        }
+        return result;
+    },
+
+    /**
+     * Soft OR: smooth maximum of magA and magB (see softMin)
+     */
+    softMax: (magA, magB, params = FFTOperations.getParams('softMax')) => {
+        const k = params.smoothness / 100 * Math.max(findMax(magA), findMax(magB));
+        if (k <= 0) return FFTOperations.or(magA, magB);
+
+        const result = new Float32Array(magA.length);
+        for (let i = 0; i < magA.length; i++) {
+            const h = Math.min(1, Math.max(0, 0.5 + 0.5 * (magA[i] - magB[i]) / k));
+            result[i] = magB[i] + (magA[i] - magB[i]) * h + k * h * (1 - h);
+        }
+        return result;
+    },
+
+    /**
+     * Gate A: keep A's bins above a threshold (dB below A's frame peak),
+     * reduce the others
+     */
+    gateA: (magA, magB, params = FFTOperations.getParams('gateA')) => gate(magA, magA, params),
+
+    /**
+     * Gate A by B: keep A's bins where B is above a threshold (dB below
+     * B's frame peak), reduce the others
+     */
+    gateAByB: (magA, magB, params = FFTOperations.getParams('gateAByB')) => gate(magA, magB, params),
+
+    /**
+     * Spectral freeze: pass the input through until the freeze position, then
+     * hold that frame's magnitudes (or the average of the frames leading up to it)
+     * for the rest of the output. Random phase gives the smoothest drone
+     */
+    freeze: (magA, magB, params = FFTOperations.getParams('freeze')) => {
+        const input = params.input === 'b' ? magB : magA;
+        const state = params.state || {};
+        if (state.frozen) return state.frozen.slice();
+
+        // Keep the frames an average would be taken over
+        const recent = state.recent || (state.recent = []);
+        recent.push(input);
+        if (recent.length > params.capture) recent.shift();
+
+        const position = params.frameCount > 1 ? params.frameIndex / (params.frameCount - 1) : 0;
+        if (position * 100 < params.position) return input.slice();
+
+        state.frozen = params.mode === 'average' ? averageFrames(recent) : input.slice();
+        state.recent = null;
+        return state.frozen.slice();
+    },
+
+    /**
+     * Temporal blur: magnitudes averaged over the last N frames, or a peak
+     * hold that decays by 60 dB over N frames, smearing the input in time
+     */
+    blur: (magA, magB, params = FFTOperations.getParams('blur')) => {
+        const input = params.input === 'b' ? magB : magA;
+        const state = params.state || {};
+        const length = Math.max(1, Math.round(params.frames));
+        const result = new Float32Array(input.length);
+
+        if (params.mode === 'peakHold') {
+            const decay = Math.pow(10, -60 / 20 / length);
+            const held = state.held || (state.held = new Float32Array(input.length));
+            for (let i = 0; i < input.length; i++) {
+                held[i] = Math.max(input[i], held[i] * decay);
+                result[i] = held[i];
+            }
+            return result;
+        }
+
+        // Moving average: running sum over a window of recent frames
+        const recent = state.recent || (state.recent = []);
+        const sum = state.sum || (state.sum = new Float64Array(input.length));
+        recent.push(input);
+        for (let i = 0; i < input.length; i++) {
+            sum[i] += input[i];
+        }
+        while (recent.length > length) {
+            const oldest = recent.shift();
+            for (let i = 0; i < input.length; i++) {
+                sum[i] -= oldest[i];
+            }
+        }
+        for (let i = 0; i < input.length; i++) {
+            result[i] = Math.max(0, sum[i] / recent.length);
+        }
+        return result;
+    },
+
+    /**
+     * Spectral delay: every bin is delayed (with feedback) by its own time,
+     * sliding on a log-frequency scale from delayLow at 50 Hz to delayHigh
+     * at Nyquist, and mixed with the dry input. Delays are whole frames (at least one hop)
+     */
+    spectralDelay: (magA, magB, params = FFTOperations.getParams('spectralDelay')) => {
+        const input = params.input === 'b' ? magB : magA;
+        const state = params.state || {};
+        const numBins = input.length;
+
+        if (!state.delays) {
+            const hopSeconds = params.hopSeconds || 0.01;
+            const binHz = params.binHz || 0;
+            const span = Math.log((numBins - 1) * binHz / 50);
+            state.delays = new Int32Array(numBins);
+            for (let i = 0; i < numBins; i++) {
+                const position = span > 0
+                    ? Math.min(1, Math.max(0, Math.log(i * binHz / 50) / span))
+                    : i / Math.max(1, numBins - 1);
+                const ms = params.delayLow + (params.delayHigh - params.delayLow) * position;
+                state.delays[i] = Math.max(1, Math.round(ms / 1000 / hopSeconds));
+            }
+
+            // Ring buffer of delay-line frames, long enough for the longest delay
+            state.length = findMax(state.delays) + 1;
+            state.buffer = new Float32Array(state.length * numBins);
+            state.write = 0;
+        }
+
+        const { delays, buffer, length, write } = state;
+        const feedback = params.feedback / 100;
+        const mix = params.mix / 100;
+        const result = new Float32Array(numBins);
+        for (let i = 0; i < numBins; i++) {
+            const read = (write - delays[i] + length) % length;
+            const delayed = buffer[read * numBins + i];
+            buffer[write * numBins + i] = input[i] + feedback * delayed;
+            result[i] = (1 - mix) * input[i] + mix * delayed;
+        }
+        state.write = (write + 1) % length;
+        return result;
+    },
+
+    /**
+     * Noise reduction: A with the noise described by B removed. B is a recording
+     * of the noise alone (or contains some); its profile (mean or percentile
+     * magnitude per bin over the chosen region) is estimated once and A is
+     * scaled by a Wiener or spectral-subtraction gain against it
      */
-    subtract: (magA, magB) => {
+    denoise: (magA, magB, params = FFTOperations.getParams('denoise')) => {
+        const gain = denoiseGain(magA, params);
         const result = new Float32Array(magA.length);
         for (let i = 0; i < magA.length; i++) {
-            result[i] = Math.max(0, magA[i] - magB[i]);
+            result[i] = magA[i] * gain[i];
         }
         return result;
     },
 
+    /**
+     * Estimate a noise profile: per bin, the mean or a percentile of the
+     * magnitudes over a region of the frames
+     * @param {Array} frames - {magnitude} frames of the noise recording
+     * @param {Object} params - {profile: 'mean'|'percentile', percentile, regionStart, regionEnd} (% values)
+     * @returns {Float32Array} Magnitude per bin
+     */
+    noiseProfile: (frames, params) => {
+        if (frames.length === 0) return new Float32Array(0);
+        const numBins = frames[0].magnitude.length;
+
+        const from = Math.min(params.regionStart, params.regionEnd) / 100;
+        const to = Math.max(params.regionStart, params.regionEnd) / 100;
+        const first = Math.min(frames.length - 1, Math.floor(from * frames.length));
+        const last = Math.max(first + 1, Math.min(frames.length, Math.ceil(to * frames.length)));
+        const region = frames.slice(first, last);
+
+        if (params.profile !== 'percentile') {
+            return averageFrames(region.map(frame => frame.magnitude));
+        }
+
+        const profile = new Float32Array(numBins);
+        const column = new Float32Array(region.length);
+        const index = Math.round(params.percentile / 100 * (region.length - 1));
+        for (let k = 0; k < numBins; k++) {
+            for (let f = 0; f < region.length; f++) {
+                column[f] = region[f].magnitude[k];
+            }
+            column.sort();
+            profile[k] = column[index];
+        }
+        return profile;
+    },
+
+    /**
+     * Get the initial state of an operation for one channel (see setup)
+     * @param {string} operation - Operation name
+     * @param {Array} framesA - A's frames of the channel
+     * @param {Array} framesB - B's frames of the channel
+     * @param {Object} params - Parameter values
+     * @returns {Object} State object passed to the operation as params.state
+     */
+    prepare: (operation, framesA, framesB, params = {}) => {
+        const setup = FFTOperations.setup[operation];
+        if (!setup) return {};
+
+        // Set up from the same kind of values the operation will see
+        if (params.domain) {
+            framesA = MagnitudeDomain.forwardFrames(framesA, params.domain);
+            framesB = MagnitudeDomain.forwardFrames(framesB, params.domain);
+        }
+        return setup(framesA, framesB, FFTOperations.getParams(operation, params));
+    },
+
+    /**
+     * Get an operation's parameter values, with defaults for any not given
+     * @param {string} operation - Operation name
+     * @param {Object} params - Parameter values (may be partial or contain extra entries)
+     * @returns {Object}
+     */
+    getParams: (operation, params = {}) => {
+        const values = { ...params };
+        (FFTOperations.schema[operation] || []).forEach(param => {
+            const value = values[param.name];
+            const valid = param.options
+                ? param.options.some(option => option.value === value)
+                : typeof value === 'number' && !isNaN(value);
+            if (!valid) values[param.name] = param.default;
+        });
+        return values;
+    },
+
+    /**
+     * Expression operation: user formula over A, B, frame statistics and frequency
+     * (see SpectralExpression)
+     * @param {Object} params - {expression, binHz}
+     */
+    expression: (magA, magB, params = {}) => {
+        const kernel = SpectralExpression.compile(params.expression || '');
+        return kernel.evaluate(magA, magB, params.binHz || 0);
+    },
+
     /**
      * Apply selected operation to magnitude arrays
      * @param {string} operation - Operation name
      * @param {Float32Array} magA - Magnitude array from audio A
      * @param {Float32Array} magB - Magnitude array from audio B
+     * @param {Object} params - Parameter values (see schema) plus {expression, binHz}, and
+     *   domain ({type, floor, exponent, reference}, see MagnitudeDomain) to operate on dB or
+     *   power-compressed magnitudes instead of linear ones
      * @returns {Float32Array} Resulting magnitude array
      */
-    apply: (operation, magA, magB) => {
+    apply: (operation, magA, magB, params = {}) => {
         if (!FFTOperations[operation]) {
             console.error(`Unknown operation: ${operation}`);
             return FFTOperations.average(magA, magB);
         }
-        const result = FFTOperations[operation](magA, magB);
+        if (params.domain) {
+            const { domain } = params;
+            const result = FFTOperations.apply(
+                operation,
+                MagnitudeDomain.forward(magA, domain),
+                MagnitudeDomain.forward(magB, domain),
+                { ...params, domain: null }
+            );
+            return MagnitudeDomain.inverse(result, domain);
+        }
+        const result = FFTOperations[operation](magA, magB, FFTOperations.getParams(operation, params));
 
         // Log first call for debugging
         if (!FFTOperations._logged) {
@@ -183,6 +742,168 @@ const FFTOperations = {
     }
 };
 
+/**
+ * Complex-domain operations
+ * Act on the full complex bins (A = magA·e^(i·phaseA)), so the phase is part
+ * of the operation rather than chosen separately
+ */
+const ComplexOperations = {
+    /**
+     * AND: keep whichever bin has the smaller magnitude
+     */
+    and: (reA, imA, reB, imB) => {
+        const real = new Float32Array(reA.length);
+        const imag = new Float32Array(reA.length);
+        for (let i = 0; i < reA.length; i++) {
+            const useA = reA[i] * reA[i] + imA[i] * imA[i] <= reB[i] * reB[i] + imB[i] * imB[i];
+            real[i] = useA ? reA[i] : reB[i];
+            imag[i] = useA ? imA[i] : imB[i];
+        }
+        return { real, imag };
+    },
+
+    /**
+     * OR: keep whichever bin has the larger magnitude
+     */
+    or: (reA, imA, reB, imB) => {
+        const real = new Float32Array(reA.length);
+        const imag = new Float32Array(reA.length);
+        for (let i = 0; i < reA.length; i++) {
+            const useA = reA[i] * reA[i] + imA[i] * imA[i] >= reB[i] * reB[i] + imB[i] * imB[i];
+            real[i] = useA ? reA[i] : reB[i];
+            imag[i] = useA ? imA[i] : imB[i];
+        }
+        return { real, imag };
+    },
+
+    /**
+     * XOR: complex difference A - B (in-phase content cancels)
+     */
+    xor: (reA, imA, reB, imB) => ComplexOperations.subtract(reA, imA, reB, imB),
+
+    /**
+     * Multiply: complex product A·B (magnitudes multiply, phases add)
+     */
+    multiply: (reA, imA, reB, imB) => {
+        const real = new Float32Array(reA.length);
+        const imag = new Float32Array(reA.length);
+        for (let i = 0; i < reA.length; i++) {
+            real[i] = reA[i] * reB[i] - imA[i] * imB[i];
+            imag[i] = reA[i] * imB[i] + imA[i] * reB[i];
+        }
+        return { real, imag };
+    },
+
+    /**
+     * Average: complex mean (A + B) / 2
+     */
+    average: (reA, imA, reB, imB) => {
+        const real = new Float32Array(reA.length);
+        const imag = new Float32Array(reA.length);
+        for (let i = 0; i < reA.length; i++) {
+            real[i] = (reA[i] + reB[i]) / 2;
+            imag[i] = (imA[i] + imB[i]) / 2;
+        }
+        return { real, imag };
+    },
+
+    /**
+     * Subtract: complex difference A - overSubtraction·B (phase-aware spectral
+     * subtraction), kept at least floor·|A| in magnitude
+     */
+    subtract: (reA, imA, reB, imB, params = FFTOperations.getParams('subtract')) => {
+        const alpha = params.overSubtraction;
+        const floor = params.floor / 100;
+        const real = new Float32Array(reA.length);
+        const imag = new Float32Array(reA.length);
+        for (let i = 0; i < reA.length; i++) {
+            real[i] = reA[i] - alpha * reB[i];
+            imag[i] = imA[i] - alpha * imB[i];
+
+            const magnitude = Math.sqrt(real[i] * real[i] + imag[i] * imag[i]);
+            const minimum = floor * Math.sqrt(reA[i] * reA[i] + imA[i] * imA[i]);
+            if (magnitude < minimum) {
+                // Lengthen the difference to the floor (in A's direction if it vanished)
+                const [re, im, length] = magnitude > 0 ? [real[i], imag[i], magnitude] : [reA[i], imA[i], minimum / floor];
+                real[i] = re * minimum / length;
+                imag[i] = im * minimum / length;
+            }
+        }
+        return { real, imag };
+    },
+
+    /**
+     * Denoise: A's complex bins scaled by the noise reduction gain, so A's phase is kept
+     */
+    denoise: (reA, imA, reB, imB, params = FFTOperations.getParams('denoise')) => {
+        const magA = new Float32Array(reA.length);
+        for (let i = 0; i < reA.length; i++) {
+            magA[i] = Math.sqrt(reA[i] * reA[i] + imA[i] * imA[i]);
+        }
+        const gain = denoiseGain(magA, params);
+        const real = new Float32Array(reA.length);
+        const imag = new Float32Array(reA.length);
+        for (let i = 0; i < reA.length; i++) {
+            real[i] = reA[i] * gain[i];
+            imag[i] = imA[i] * gain[i];
+        }
+        return { real, imag };
+    },
+
+    /**
+     * A Squared: A² / max|A| (magnitude squared, phase doubled)
+     */
+    aSquared: (reA, imA) => complexSquare(reA, imA),
+
+    /**
+     * B Squared: B² / max|B| (magnitude squared, phase doubled)
+     */
+    bSquared: (reA, imA, reB, imB) => complexSquare(reB, imB),
+
+    /**
+     * Apply an operation to complex bins given as magnitude/phase
+     * Operations without a complex form (NOT A/B, expressions) use the magnitude operation
+     * with the phase of A + B (magnitude-weighted circular mean)
+     * @param {string} operation - Operation name
+     * @param {Float32Array} magA - Magnitude array from audio A
+     * @param {Float32Array} phaseA - Phase array from audio A
+     * @param {Float32Array} magB - Magnitude array from audio B
+     * @param {Float32Array} phaseB - Phase array from audio B
+     * @param {Object} params - Operation parameters (see FFTOperations.apply)
+     * @returns {Object} {magnitude, phase}
+     */
+    apply: (operation, magA, phaseA, magB, phaseB, params = {}) => {
+        const size = magA.length;
+        const reA = new Float32Array(size), imA = new Float32Array(size);
+        const reB = new Float32Array(size), imB = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            reA[i] = magA[i] * Math.cos(phaseA[i]);
+            imA[i] = magA[i] * Math.sin(phaseA[i]);
+            reB[i] = magB[i] * Math.cos(phaseB[i]);
+            imB[i] = magB[i] * Math.sin(phaseB[i]);
+        }
+
+        const magnitude = new Float32Array(size);
+        const phase = new Float32Array(size);
+
+        const complexOp = ComplexOperations[operation];
+        if (complexOp && operation !== 'apply') {
+            const { real, imag } = complexOp(reA, imA, reB, imB, FFTOperations.getParams(operation, params));
+            for (let i = 0; i < size; i++) {
+                magnitude[i] = Math.sqrt(real[i] * real[i] + imag[i] * imag[i]);
+                phase[i] = Math.atan2(imag[i], real[i]);
+            }
+        } else {
+            magnitude.set(FFTOperations.apply(operation, magA, magB, params));
+            for (let i = 0; i < size; i++) {
+                phase[i] = Math.atan2(imA[i] + imB[i], reA[i] + reB[i]);
+            }
+        }
+
+        return { magnitude, phase };
+    }
+};
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = FFTOperations;
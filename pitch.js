@@ -0,0 +1,187 @@
+/**
+ * Pitch Module
+ * Fundamental frequency estimation from STFT magnitude frames (harmonic
+ * summation over spectral peaks), and the shift ratios that bring B's pitch to A's
+ */
+
+const Pitch = {
+    // Fundamental search range in Hz
+    range: { min: 50, max: 1000 },
+
+    // Largest shift applied to B, in semitones either way
+    maxShift: 24,
+
+    // Harmonics summed per candidate, and the weight lost per harmonic
+    harmonics: 8,
+    harmonicDecay: 0.84,
+
+    // Candidate fundamentals per octave, and the share of the spectrum's energy
+    // (up to the last harmonic) that matched harmonics need for a frame to count as pitched
+    resolution: 48,
+    voicing: 0.5,
+
+    /**
+     * Estimate the fundamental of one frame. Each spectral peak votes for the
+     * candidates (on a quarter-semitone grid) it could be harmonic h of, with
+     * weights decaying by h so sub-octaves score lower; the best candidate is
+     * refined from the frequencies of the peaks it matched
+     * @param {Float32Array} magnitude - Magnitude bins
+     * @param {number} binHz - Frequency spacing of the bins
+     * @returns {number} Fundamental in Hz, or 0 where no pitch is found
+     */
+    detect: (magnitude, binHz) => {
+        const peak = findMax(magnitude);
+        if (!(peak > 0)) return 0;
+
+        // Spectral peaks with their level in dB above a floor 60 dB under the frame peak,
+        // at parabolic-interpolated frequencies; the 30 loudest take part
+        const maxBin = Math.min(magnitude.length - 2, Math.ceil(Pitch.range.max * Pitch.harmonics / binHz) + 1);
+        const level = k => Math.max(0, 20 * Math.log10(magnitude[k] / peak + 1e-12) + 60);
+        let peaks = [];
+        for (let k = 1; k <= maxBin; k++) {
+            if (magnitude[k] > magnitude[k - 1] && magnitude[k] >= magnitude[k + 1] && level(k) > 0) {
+                const l0 = level(k - 1), l1 = level(k), l2 = level(k + 1);
+                const denominator = l0 - 2 * l1 + l2;
+                const offset = denominator < 0 ? 0.5 * (l0 - l2) / denominator : 0;
+                peaks.push({ bin: k, freq: (k + offset) * binHz, level: l1 });
+            }
+        }
+        if (peaks.length === 0) return 0;
+        peaks = peaks.sort((a, b) => b.level - a.level).slice(0, 30);
+
+        // A peak matches harmonic h of f0 within 3% (or half a bin)
+        const tolerance = freq => Math.max(0.03 * freq, binHz / 2);
+        const { min, max } = Pitch.range;
+        const count = Math.floor(Math.log2(max / min) * Pitch.resolution) + 1;
+        const scores = new Float32Array(count);
+        const best = new Float32Array(count);
+        for (let h = 1, weight = 1; h <= Pitch.harmonics; h++, weight *= Pitch.harmonicDecay) {
+            best.fill(0);
+            peaks.forEach(p => {
+                const f0 = p.freq / h;
+                const center = Math.log2(f0 / min) * Pitch.resolution;
+                const spread = Math.log2(1 + tolerance(p.freq) / p.freq) * Pitch.resolution;
+                const from = Math.max(0, Math.ceil(center - spread));
+                const to = Math.min(count - 1, Math.floor(center + spread));
+                for (let c = from; c <= to; c++) {
+                    if (p.level > best[c]) best[c] = p.level;
+                }
+            });
+            for (let c = 0; c < count; c++) {
+                scores[c] += weight * best[c];
+            }
+        }
+
+        let bestIndex = 0;
+        for (let c = 1; c < count; c++) {
+            if (scores[c] > scores[bestIndex]) bestIndex = c;
+        }
+        if (scores[bestIndex] === 0) return 0;
+        const candidate = min * Math.pow(2, bestIndex / Pitch.resolution);
+
+        // Refine from the matched peaks (weighted by level) and measure how much
+        // of the energy up to the last harmonic they hold
+        let sum = 0, total = 0;
+        const matchedBins = new Set();
+        for (let h = 1, weight = 1; h <= Pitch.harmonics; h++, weight *= Pitch.harmonicDecay) {
+            const target = h * candidate;
+            let match = null;
+            peaks.forEach(p => {
+                if (Math.abs(p.freq - target) <= tolerance(target) && (!match || p.level > match.level)) match = p;
+            });
+            if (!match) continue;
+            sum += weight * match.level * match.freq / h;
+            total += weight * match.level;
+            for (let k = match.bin - 2; k <= match.bin + 2; k++) matchedBins.add(k);
+        }
+
+        const lastBin = Math.min(magnitude.length - 1, Math.round((Pitch.harmonics + 0.5) * candidate / binHz));
+        let energy = 0, matched = 0;
+        for (let k = 1; k <= lastBin; k++) {
+            const power = magnitude[k] * magnitude[k];
+            energy += power;
+            if (matchedBins.has(k)) matched += power;
+        }
+        if (total === 0 || matched < Pitch.voicing * energy) return 0;
+
+        return sum / total;
+    },
+
+    /**
+     * Fundamental of every frame
+     * @param {Array} frames - {magnitude} frames
+     * @param {number} binHz - Frequency spacing of the bins
+     * @returns {Float32Array} Hz per frame (0 where no pitch is found)
+     */
+    track: (frames, binHz) => Float32Array.from(frames, frame => Pitch.detect(frame.magnitude, binHz)),
+
+    /**
+     * Dominant pitch of a track: the median of its pitched frames
+     * @param {Float32Array} track - Hz per frame
+     * @returns {number} Hz, or 0 if no frame has a pitch
+     */
+    median: (track) => {
+        const pitched = Array.from(track).filter(f => f > 0).sort((a, b) => a - b);
+        return pitched.length > 0 ? pitched[Math.floor(pitched.length / 2)] : 0;
+    },
+
+    /**
+     * Shift ratio for every frame of B
+     * @param {Float32Array} trackA - A's pitch per frame
+     * @param {Float32Array} trackB - B's pitch per frame
+     * @param {string} mode - 'detected' (one shift, dominant pitches), 'manual' (semitones)
+     *   or 'frame' (follow both tracks; unpitched frames use the dominant shift)
+     * @param {number} semitones - Shift for the 'manual' mode
+     * @param {boolean} timeMatch - Whether B's frames map onto A's proportionally (else 1:1)
+     * @param {Int32Array} pairs - A's frame for every frame of B (e.g. along a DTW path),
+     *   instead of the proportional or 1:1 pairing
+     * @returns {Float32Array} Frequency ratio per frame of B
+     */
+    getRatios: (trackA, trackB, mode, semitones, timeMatch, pairs = null) => {
+        const limit = ratio => {
+            const shift = Math.min(Pitch.maxShift, Math.max(-Pitch.maxShift, 12 * Math.log2(ratio)));
+            return Math.pow(2, shift / 12);
+        };
+
+        const pitchA = Pitch.median(trackA);
+        const pitchB = Pitch.median(trackB);
+        const fixed = mode === 'manual'
+            ? Math.pow(2, (semitones || 0) / 12)
+            : (pitchA > 0 && pitchB > 0 ? limit(pitchA / pitchB) : 1);
+
+        const ratios = new Float32Array(trackB.length).fill(limit(fixed));
+        if (mode !== 'frame' || trackA.length === 0) return ratios;
+
+        // Pair every frame of B with A's frame at the same place in the output
+        const raw = Array.from(trackB, (freqB, j) => {
+            const i = pairs ? Math.min(pairs[j], trackA.length - 1) : timeMatch && trackB.length > 1
+                ? Math.round(j * (trackA.length - 1) / (trackB.length - 1))
+                : Math.min(j, trackA.length - 1);
+            const freqA = trackA[i];
+            return freqA > 0 && freqB > 0 ? freqA / freqB : fixed;
+        });
+
+        // Median over 5 frames removes single-frame octave slips
+        for (let j = 0; j < raw.length; j++) {
+            const window = raw.slice(Math.max(0, j - 2), j + 3).sort((a, b) => a - b);
+            ratios[j] = limit(window[Math.floor(window.length / 2)]);
+        }
+        return ratios;
+    },
+
+    /**
+     * Name of the nearest note, e.g. 440 -> "A4"
+     * @param {number} freq - Hz
+     * @returns {string}
+     */
+    noteName: (freq) => {
+        const names = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+        const midi = Math.round(69 + 12 * Math.log2(freq / 440));
+        return `${names[((midi % 12) + 12) % 12]}${Math.floor(midi / 12) - 1}`;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Pitch;
+}
@@ -0,0 +1,441 @@
+/**
+ * Processor Client Module
+ * Runs AudioProcessor jobs in a Web Worker (processor-worker.js) and reports
+ * progress and results on the main thread. Falls back to the main-thread
+ * audioProcessor where workers cannot be started (e.g. Chrome on file:// pages).
+ *
+ * Messages to the worker: setAudio {label, channels, sampleRate},
+ * analyze {id, label, windowSize, overlap, options},
+ * component {id, label, component, windowSize, overlap, options},
+ * process {id, operation, phaseMode, windowSize, overlap, timeMatch, options},
+ * restretch {id, playbackRate, options}, stage {id, index}.
+ * Messages from the worker: ready, progress {id, percent, message},
+ * result {id, result}, error {id, message}.
+ */
+
+class ProcessorClient {
+    /**
+     * @param {string} workerUrl - Worker script
+     */
+    constructor(workerUrl = 'processor-worker.js') {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.ready = null; // Resolves to true once the worker runs, false when falling back
+        this.jobs = new Map(); // Job id -> {resolve, reject, progressCallback}
+        this.nextJobId = 1;
+
+        // Inputs, re-sent to a fresh worker after a cancel
+        this.inputs = { A: null, B: null };
+
+        // Last process() arguments, to redo the run when its frames were lost to a cancel
+        this.lastProcess = null;
+        this.outputAvailable = false;
+
+        // Details of the last result (as returned by the AudioProcessor getters)
+        this.outputFrames = [];
+        this.stages = new Map(); // Stage index -> {buffer, frames}, fetched on demand
+        this.resampled = [];
+        this.griffinLimInfo = null;
+        this.gainInfo = null;
+        this.pitchInfo = null;
+        this.alignmentInfo = null;
+        this.lengthInfo = null;
+
+        // Cancel flag for main-thread processing
+        this.cancelRequested = false;
+    }
+
+    /**
+     * Start the worker
+     */
+    init() {
+        if (!this.ready) {
+            this.startWorker();
+        }
+    }
+
+    /**
+     * Spawn a worker and send it the current inputs
+     */
+    startWorker() {
+        this.ready = new Promise(resolve => {
+            try {
+                this.worker = new Worker(this.workerUrl);
+            } catch (error) {
+                console.warn('Web Worker unavailable, processing on the main thread:', error.message);
+                this.worker = null;
+                resolve(false);
+                return;
+            }
+
+            let started = false;
+            this.worker.onmessage = (event) => {
+                if (event.data.type === 'ready') {
+                    started = true;
+                    resolve(true);
+                } else {
+                    this.handleMessage(event.data);
+                }
+            };
+
+            this.worker.onerror = (event) => {
+                event.preventDefault();
+                if (!started) {
+                    // The worker script failed to load: process on the main thread instead
+                    console.warn('Web Worker failed to start, processing on the main thread:', event.message);
+                    this.worker.terminate();
+                    this.worker = null;
+                    resolve(false);
+                    return;
+                }
+
+                console.error('Processing worker error:', event.message);
+                this.rejectJobs(new Error(event.message || 'Processing worker failed'));
+            };
+        });
+
+        ['A', 'B'].forEach(label => {
+            if (this.inputs[label]) this.setAudio(label, this.inputs[label]);
+        });
+    }
+
+    /**
+     * Route a worker message to its job
+     * @param {Object} message - Worker message
+     */
+    handleMessage(message) {
+        const job = this.jobs.get(message.id);
+        if (!job) return; // Cancelled
+
+        if (message.type === 'progress') {
+            if (job.progressCallback) job.progressCallback(message.percent, message.message);
+            return;
+        }
+
+        this.jobs.delete(message.id);
+        if (message.type === 'error') {
+            job.reject(new Error(message.message));
+        } else {
+            job.resolve(message.result);
+        }
+    }
+
+    /**
+     * Send a job to the worker
+     * @param {Object} message - Job message (an id is added)
+     * @param {Function} progressCallback - Optional progress callback (percent, message)
+     * @returns {Promise<*>} Job result
+     */
+    request(message, progressCallback = null) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextJobId++;
+            this.jobs.set(id, { resolve, reject, progressCallback });
+            this.worker.postMessage({ ...message, id });
+        });
+    }
+
+    /**
+     * Reject every pending job
+     * @param {Error} error - Rejection reason
+     */
+    rejectJobs(error) {
+        this.jobs.forEach(job => job.reject(error));
+        this.jobs.clear();
+    }
+
+    /**
+     * Create the error a cancelled job rejects with
+     * @returns {Error}
+     */
+    createCancelError() {
+        const error = new Error('Processing cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Set input A or B
+     * @param {string} label - 'A' or 'B'
+     * @param {AudioBuffer} buffer - Decoded audio
+     */
+    async setAudio(label, buffer) {
+        this.inputs[label] = buffer;
+        this.outputAvailable = false;
+
+        if (!(await this.ready)) {
+            if (label === 'A') {
+                audioProcessor.setAudioA(buffer);
+            } else {
+                audioProcessor.setAudioB(buffer);
+            }
+            return;
+        }
+
+        // Copies are transferred, so the AudioBuffer stays playable here
+        const channels = [];
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            channels.push(new Float32Array(buffer.getChannelData(c)));
+        }
+        this.worker.postMessage(
+            { type: 'setAudio', label, channels, sampleRate: buffer.sampleRate },
+            channels.map(channel => channel.buffer)
+        );
+    }
+
+    /**
+     * Analyse an input with the processing settings (see AudioProcessor.analyze)
+     * @param {string} label - 'A' or 'B'
+     * @param {number} windowSize - Frame length in samples
+     * @param {number} overlap - Overlap percentage
+     * @param {Object} options - Processing options
+     * @returns {Promise<Array>} Magnitude frames of the first processed channel
+     */
+    async analyze(label, windowSize, overlap, options = {}) {
+        if (!(await this.ready)) {
+            const buffer = label === 'A' ? audioProcessor.audioBufferA : audioProcessor.audioBufferB;
+            return audioProcessor.analyze(buffer, label, windowSize, overlap, options)[0];
+        }
+
+        const packed = await this.request({ type: 'analyze', label, windowSize, overlap, options });
+        return audioProcessor.unpackMagnitudes(packed);
+    }
+
+    /**
+     * Separate one part of an input for preview (see AudioProcessor.getComponent)
+     * @param {string} label - 'A' or 'B'
+     * @param {string} component - 'full', 'harmonic', 'percussive' or 'residual'
+     * @param {number} windowSize - Frame length in samples
+     * @param {number} overlap - Overlap percentage
+     * @param {Object} options - Processing options
+     * @returns {Promise<Object>} {buffer, frames} (magnitudes of the first channel)
+     */
+    async getComponent(label, component, windowSize, overlap, options = {}) {
+        if (!(await this.ready)) {
+            const buffer = label === 'A' ? audioProcessor.audioBufferA : audioProcessor.audioBufferB;
+            return audioProcessor.getComponent(buffer, label, component, windowSize, overlap, options);
+        }
+
+        const result = await this.request({ type: 'component', label, component, windowSize, overlap, options });
+        return {
+            buffer: audioProcessor.createOutputBuffer(result.channels, result.sampleRate),
+            frames: audioProcessor.unpackMagnitudes(result.frames)
+        };
+    }
+
+    /**
+     * Process A and B (same arguments as AudioProcessor.process)
+     * @returns {Promise<AudioBuffer>} Rejects with an AbortError when cancelled
+     */
+    async process(operation, phaseMode, windowSize, overlap, timeMatch = true, progressCallback = null, options = {}) {
+        this.lastProcess = { operation, phaseMode, windowSize, overlap, timeMatch, options };
+        this.outputAvailable = false;
+        this.stages.clear();
+        this.cancelRequested = false;
+
+        if (!(await this.ready)) {
+            const buffer = await audioProcessor.process(
+                operation,
+                phaseMode,
+                windowSize,
+                overlap,
+                timeMatch,
+                this.getMainThreadProgress(progressCallback),
+                options
+            );
+            return this.receiveMainThreadOutput(buffer);
+        }
+
+        const result = await this.request(
+            { type: 'process', operation, phaseMode, windowSize, overlap, timeMatch, options },
+            progressCallback
+        );
+        return this.receiveOutput(result);
+    }
+
+    /**
+     * Resynthesize the last output at a new speed and output level (see AudioProcessor.restretch)
+     * @param {number} playbackRate - Pitch-preserving speed
+     * @param {Function} progressCallback - Optional progress callback (percent, message)
+     * @param {Object} options - Output level and dry mix settings (default: unchanged)
+     * @returns {Promise<AudioBuffer>}
+     */
+    async restretch(playbackRate, progressCallback = null, options = null) {
+        const last = this.lastProcess;
+        if (!this.outputAvailable) {
+            // A cancel dropped the frames: run the last job again at the new speed
+            if (!last) throw new Error('Nothing has been processed yet');
+            return this.process(
+                last.operation,
+                last.phaseMode,
+                last.windowSize,
+                last.overlap,
+                last.timeMatch,
+                progressCallback,
+                { ...last.options, ...options, playbackRate }
+            );
+        }
+
+        this.cancelRequested = false;
+        this.stages.clear();
+        if (!(await this.ready)) {
+            return this.receiveMainThreadOutput(audioProcessor.restretch(playbackRate, options));
+        }
+
+        const result = await this.request({ type: 'restretch', playbackRate, options }, progressCallback);
+        return this.receiveOutput(result);
+    }
+
+    /**
+     * Get one stage of the last run as audio and frames (see AudioProcessor.getStage)
+     * @param {number} index - Stage index
+     * @returns {Promise<Object>} {buffer, frames} (magnitudes of the first channel)
+     */
+    async getStage(index) {
+        if (!this.outputAvailable) {
+            throw new Error('The last result is no longer available, please process again');
+        }
+        if (this.stages.has(index)) {
+            return this.stages.get(index);
+        }
+
+        let stage;
+        if (!(await this.ready)) {
+            stage = audioProcessor.getStage(index);
+        } else {
+            const result = await this.request({ type: 'stage', index });
+            stage = {
+                buffer: audioProcessor.createOutputBuffer(result.channels, result.sampleRate),
+                frames: audioProcessor.unpackMagnitudes(result.frames)
+            };
+        }
+        this.stages.set(index, stage);
+        return stage;
+    }
+
+    /**
+     * Abort the running job: the worker is replaced by a fresh one (losing its
+     * analysis cache). On the main thread the job stops at its next progress report
+     * (at most 50 frames or one Griffin-Lim iteration away).
+     */
+    cancel() {
+        this.outputAvailable = false;
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+            this.rejectJobs(this.createCancelError());
+            this.startWorker();
+        } else {
+            this.cancelRequested = true;
+        }
+    }
+
+    /**
+     * Wrap a progress callback for main-thread processing: each report yields to
+     * the browser (so the page repaints and Cancel can be clicked) and aborts the
+     * job once Cancel was clicked
+     * @param {Function} progressCallback - Progress callback (percent, message) or null
+     * @returns {Function}
+     */
+    getMainThreadProgress(progressCallback) {
+        return (percent, message) => {
+            if (this.cancelRequested) throw this.createCancelError();
+            if (progressCallback) progressCallback(percent, message);
+            return new Promise(resolve => setTimeout(resolve, 0));
+        };
+    }
+
+    /**
+     * Turn a worker result into an AudioBuffer and keep its details
+     * @param {Object} result - {channels, sampleRate, outputFrames, resampled, griffinLimInfo, gainInfo, pitchInfo, alignmentInfo, lengthInfo}
+     * @returns {AudioBuffer}
+     */
+    receiveOutput(result) {
+        this.outputFrames = audioProcessor.unpackMagnitudes(result.outputFrames);
+        this.resampled = result.resampled;
+        this.griffinLimInfo = result.griffinLimInfo;
+        this.gainInfo = result.gainInfo;
+        this.pitchInfo = result.pitchInfo;
+        this.alignmentInfo = result.alignmentInfo;
+        this.lengthInfo = result.lengthInfo;
+        this.outputAvailable = true;
+        return audioProcessor.createOutputBuffer(result.channels, result.sampleRate);
+    }
+
+    /**
+     * Keep the details of a main-thread result
+     * @param {AudioBuffer} buffer - Output buffer
+     * @returns {AudioBuffer}
+     */
+    receiveMainThreadOutput(buffer) {
+        this.outputFrames = audioProcessor.outputFrames;
+        this.resampled = audioProcessor.getResampleInfo();
+        this.griffinLimInfo = audioProcessor.getGriffinLimInfo();
+        this.gainInfo = audioProcessor.getGainInfo();
+        this.pitchInfo = audioProcessor.getPitchInfo();
+        this.alignmentInfo = audioProcessor.getAlignmentInfo();
+        this.lengthInfo = audioProcessor.getLengthInfo();
+        this.outputAvailable = true;
+        return buffer;
+    }
+
+    /**
+     * Get the inputs resampled during the last process run
+     * @returns {Array} Array of {input, from, to}
+     */
+    getResampleInfo() {
+        return this.resampled;
+    }
+
+    /**
+     * Get the Griffin-Lim result of the last process run
+     * @returns {Object|null} {iterations, convergence} or null
+     */
+    getGriffinLimInfo() {
+        return this.griffinLimInfo;
+    }
+
+    /**
+     * Get the output gain of the last result
+     * @returns {Object|null} {mode, target, level, gain, limited} or null
+     */
+    getGainInfo() {
+        return this.gainInfo;
+    }
+
+    /**
+     * Get the pitches detected for the last result's pitch alignment
+     * @returns {Object|null} {mode, pitchA, pitchB, semitones, trackA, trackB, hopSeconds} or null
+     */
+    getPitchInfo() {
+        return this.pitchInfo;
+    }
+
+    /**
+     * Get the warping path of the last result's DTW alignment
+     * @returns {Object|null} {feature, pathA, pathB, cost, hopSeconds} or null
+     */
+    getAlignmentInfo() {
+        return this.alignmentInfo;
+    }
+
+    /**
+     * Get the time-matched output length of the last result
+     * @returns {Object|null} {mode, frames, seconds, weight or bpm, bars, beatsPerBar, tempoA,
+     *   tempoB, barsA, barsB} or null
+     */
+    getLengthInfo() {
+        return this.lengthInfo;
+    }
+
+    /**
+     * Get frames for visualization
+     * @returns {Object} {outputFrames} (magnitudes only)
+     */
+    getFrames() {
+        return { outputFrames: this.outputFrames };
+    }
+}
+
+// Create singleton instance
+const processorClient = new ProcessorClient();
@@ -0,0 +1,148 @@
+/**
+ * Processor Worker
+ * Runs the DSP core (STFT, operations, resynthesis) off the main thread.
+ * Driven by ProcessorClient; see processor-client.js for the message protocol.
+ */
+
+importScripts(
+    'operations.js',
+    'domain.js',
+    'expression.js',
+    'fft.js',
+    'spectral-envelope.js',
+    'multiband.js',
+    'pitch.js',
+    'hpss.js',
+    'alignment.js',
+    'onsets.js',
+    'tempo.js',
+    'loudness.js',
+    'resampler.js',
+    'windows.js',
+    'analysis-cache.js',
+    'signal-buffer.js',
+    'audio-processor.js'
+);
+
+/**
+ * Get the channel arrays of a buffer
+ * @param {SignalBuffer} buffer - Buffer
+ * @returns {Float32Array[]}
+ */
+function getChannels(buffer) {
+    const channels = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        channels.push(buffer.getChannelData(c));
+    }
+    return channels;
+}
+
+/**
+ * Post an output buffer and the frames needed to draw it, transferring the arrays
+ * @param {number} id - Job id
+ * @param {SignalBuffer} buffer - Output buffer
+ */
+function postOutput(id, buffer) {
+    const channels = getChannels(buffer);
+    const outputFrames = audioProcessor.packMagnitudes(audioProcessor.outputFrames);
+
+    // The worker's copy is detached by the transfer; restretch() resynthesizes from the frames
+    audioProcessor.outputBuffer = null;
+
+    self.postMessage({
+        type: 'result',
+        id,
+        result: {
+            channels,
+            sampleRate: buffer.sampleRate,
+            outputFrames,
+            resampled: audioProcessor.getResampleInfo(),
+            griffinLimInfo: audioProcessor.getGriffinLimInfo(),
+            gainInfo: audioProcessor.getGainInfo(),
+            pitchInfo: audioProcessor.getPitchInfo(),
+            alignmentInfo: audioProcessor.getAlignmentInfo(),
+            lengthInfo: audioProcessor.getLengthInfo()
+        }
+    }, [...channels.map(channel => channel.buffer), outputFrames.data.buffer]);
+}
+
+/**
+ * Post a stage or component buffer with the frames to draw it, transferring the arrays
+ * @param {number} id - Job id
+ * @param {Object} result - {buffer, frames}
+ */
+function postBuffer(id, { buffer, frames }) {
+    const channels = getChannels(buffer);
+    const packed = audioProcessor.packMagnitudes(frames);
+    self.postMessage({
+        type: 'result',
+        id,
+        result: { channels, sampleRate: buffer.sampleRate, frames: packed }
+    }, [...channels.map(channel => channel.buffer), packed.data.buffer]);
+}
+
+self.onmessage = async (event) => {
+    const request = event.data;
+    const progressCallback = (percent, text) => {
+        self.postMessage({ type: 'progress', id: request.id, percent, message: text });
+    };
+
+    try {
+        switch (request.type) {
+            case 'setAudio': {
+                const buffer = new SignalBuffer(request.channels, request.sampleRate);
+                if (request.label === 'A') {
+                    audioProcessor.setAudioA(buffer);
+                } else {
+                    audioProcessor.setAudioB(buffer);
+                }
+                break;
+            }
+
+            case 'analyze': {
+                const buffer = request.label === 'A' ? audioProcessor.audioBufferA : audioProcessor.audioBufferB;
+                const frames = audioProcessor.analyze(buffer, request.label, request.windowSize, request.overlap, request.options);
+                const packed = audioProcessor.packMagnitudes(frames[0]);
+                self.postMessage({ type: 'result', id: request.id, result: packed }, [packed.data.buffer]);
+                break;
+            }
+
+            case 'component': {
+                const buffer = request.label === 'A' ? audioProcessor.audioBufferA : audioProcessor.audioBufferB;
+                const component = audioProcessor.getComponent(buffer, request.label, request.component, request.windowSize, request.overlap, request.options);
+                postBuffer(request.id, component);
+                break;
+            }
+
+            case 'process': {
+                const buffer = await audioProcessor.process(
+                    request.operation,
+                    request.phaseMode,
+                    request.windowSize,
+                    request.overlap,
+                    request.timeMatch,
+                    progressCallback,
+                    request.options
+                );
+                postOutput(request.id, buffer);
+                break;
+            }
+
+            case 'restretch':
+                postOutput(request.id, audioProcessor.restretch(request.playbackRate, request.options));
+                break;
+
+            case 'stage':
+                postBuffer(request.id, audioProcessor.getStage(request.index));
+                break;
+
+            default:
+                console.error('Unknown worker message:', request.type);
+        }
+    } catch (error) {
+        console.error('Worker error:', error);
+        self.postMessage({ type: 'error', id: request.id, message: error.message });
+    }
+};
+
+self.postMessage({ type: 'ready' });
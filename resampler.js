@@ -0,0 +1,108 @@
+/**
+ * Resampler Module
+ * Band-limited sample rate conversion using a Kaiser-windowed sinc kernel
+ */
+
+const Resampler = {
+    // Kernel half-width in zero crossings (quality vs. speed)
+    zeroCrossings: 32,
+
+    // Kernel table entries per zero crossing (linearly interpolated between)
+    tableResolution: 512,
+
+    // Kaiser window shape (~90 dB stopband)
+    kaiserBeta: 9,
+
+    // Passband edge relative to the lower Nyquist frequency
+    rolloff: 0.95,
+
+    _kernelTable: null,
+
+    /**
+     * Zeroth-order modified Bessel function of the first kind
+     * @param {number} x - Argument
+     * @returns {number}
+     */
+    besselI0: (x) => {
+        let sum = 1;
+        let term = 1;
+        const halfX = x / 2;
+        for (let k = 1; k < 50; k++) {
+            term *= (halfX / k) * (halfX / k);
+            sum += term;
+            if (term < sum * 1e-12) break;
+        }
+        return sum;
+    },
+
+    /**
+     * Get the tabulated windowed-sinc kernel for offsets 0..zeroCrossings
+     * @returns {Float32Array}
+     */
+    getKernelTable: () => {
+        if (Resampler._kernelTable) return Resampler._kernelTable;
+
+        const { zeroCrossings, tableResolution, kaiserBeta } = Resampler;
+        const size = zeroCrossings * tableResolution + 1;
+        const table = new Float32Array(size + 1); // Extra guard entry for interpolation
+        const norm = Resampler.besselI0(kaiserBeta);
+
+        for (let i = 0; i < size; i++) {
+            const x = i / tableResolution;
+            const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+            const r = x / zeroCrossings;
+            const window = Resampler.besselI0(kaiserBeta * Math.sqrt(Math.max(0, 1 - r * r))) / norm;
+            table[i] = sinc * window;
+        }
+
+        Resampler._kernelTable = table;
+        return table;
+    },
+
+    /**
+     * Resample a signal to a new sample rate
+     * @param {Float32Array} signal - Input signal
+     * @param {number} fromRate - Input sample rate
+     * @param {number} toRate - Output sample rate
+     * @returns {Float32Array} Resampled signal
+     */
+    resample: (signal, fromRate, toRate) => {
+        if (fromRate === toRate) return new Float32Array(signal);
+
+        const ratio = toRate / fromRate;
+        const outputLength = Math.ceil(signal.length * ratio);
+        const output = new Float32Array(outputLength);
+
+        // Low-pass below the lower of the two Nyquist frequencies
+        const cutoff = Math.min(1, ratio) * Resampler.rolloff;
+        const table = Resampler.getKernelTable();
+        const { zeroCrossings, tableResolution } = Resampler;
+        const halfWidth = zeroCrossings / cutoff; // Kernel half-width in input samples
+        const tableStep = cutoff * tableResolution;
+        const tableEnd = zeroCrossings * tableResolution;
+
+        for (let m = 0; m < outputLength; m++) {
+            const center = m / ratio;
+            const first = Math.max(0, Math.ceil(center - halfWidth));
+            const last = Math.min(signal.length - 1, Math.floor(center + halfWidth));
+
+            let sum = 0;
+            for (let n = first; n <= last; n++) {
+                const position = Math.abs(center - n) * tableStep;
+                if (position >= tableEnd) continue;
+                const index = Math.floor(position);
+                const frac = position - index;
+                const weight = table[index] + (table[index + 1] - table[index]) * frac;
+                sum += signal[n] * weight;
+            }
+            output[m] = sum * cutoff;
+        }
+
+        return output;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Resampler;
+}
@@ -0,0 +1,41 @@
+/**
+ * Signal Buffer Module
+ * Minimal stand-in for AudioBuffer where no AudioContext exists (Web Workers)
+ */
+
+class SignalBuffer {
+    /**
+     * @param {Float32Array[]} channels - Channel data (used as is, not copied)
+     * @param {number} sampleRate - Sample rate
+     */
+    constructor(channels, sampleRate) {
+        this.channels = channels;
+        this.numberOfChannels = channels.length;
+        this.length = channels.length > 0 ? channels[0].length : 0;
+        this.sampleRate = sampleRate;
+        this.duration = this.length / sampleRate;
+    }
+
+    /**
+     * Get the samples of a channel
+     * @param {number} channel - Channel index
+     * @returns {Float32Array}
+     */
+    getChannelData(channel) {
+        return this.channels[channel];
+    }
+
+    /**
+     * Copy samples into a channel
+     * @param {Float32Array} source - Samples to copy
+     * @param {number} channel - Channel index
+     */
+    copyToChannel(source, channel) {
+        this.channels[channel].set(source.subarray(0, this.length));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SignalBuffer;
+}
@@ -0,0 +1,146 @@
+/**
+ * Spectral Envelope Module
+ * Smoothed spectral envelopes of STFT magnitude frames, by cepstral liftering
+ * or linear prediction (LPC), for cross-synthesis
+ */
+
+const SpectralEnvelope = {
+    // Floor for log/division, relative to the frame peak (-100 dB)
+    floor: 1e-5,
+
+    /**
+     * Cepstral envelope: keep the low-quefrency part of the real cepstrum
+     * @param {Float32Array} magnitude - Magnitude bins (0..N/2)
+     * @param {number} lifter - Cepstral coefficients kept (higher follows the spectrum more closely)
+     * @returns {Float32Array} Envelope, same length as magnitude
+     */
+    cepstral: (magnitude, lifter) => {
+        const numBins = magnitude.length;
+        const size = (numBins - 1) * 2;
+        const floor = Math.max(findMax(magnitude) * SpectralEnvelope.floor, 1e-20);
+
+        // Log magnitude over the full (symmetric) spectrum
+        const real = new Float64Array(size);
+        const imag = new Float64Array(size);
+        for (let k = 0; k < numBins; k++) {
+            real[k] = Math.log(Math.max(magnitude[k], floor));
+            if (k > 0 && k < numBins - 1) real[size - k] = real[k];
+        }
+
+        // Real cepstrum, liftered to its first coefficients (and their mirror)
+        FFT.inverse(real, imag);
+        const keep = Math.max(1, Math.min(Math.floor(lifter), numBins - 1));
+        for (let n = keep; n <= size - keep; n++) {
+            real[n] = 0;
+        }
+        imag.fill(0);
+
+        // Back to a smoothed log spectrum
+        FFT.transform(real, imag);
+        const envelope = new Float32Array(numBins);
+        for (let k = 0; k < numBins; k++) {
+            envelope[k] = Math.exp(real[k]);
+        }
+        return envelope;
+    },
+
+    /**
+     * LPC envelope: all-pole model fitted to the frame's autocorrelation
+     * (Levinson-Durbin), evaluated as sqrt(error) / |A(e^jω)|
+     * @param {Float32Array} magnitude - Magnitude bins (0..N/2)
+     * @param {number} order - Number of poles
+     * @returns {Float32Array} Envelope, same length as magnitude
+     */
+    lpc: (magnitude, order) => {
+        const numBins = magnitude.length;
+        const size = (numBins - 1) * 2;
+        order = Math.max(1, Math.min(Math.floor(order), size - 1));
+
+        // Autocorrelation = inverse FFT of the power spectrum
+        const real = new Float64Array(size);
+        const imag = new Float64Array(size);
+        for (let k = 0; k < numBins; k++) {
+            real[k] = magnitude[k] * magnitude[k];
+            if (k > 0 && k < numBins - 1) real[size - k] = real[k];
+        }
+        FFT.inverse(real, imag);
+
+        const envelope = new Float32Array(numBins);
+        if (!(real[0] > 0)) return envelope;
+
+        // Levinson-Durbin recursion; a tiny white-noise correction keeps it stable
+        const r = real.slice(0, order + 1);
+        r[0] *= 1 + 1e-9;
+        const a = new Float64Array(order + 1);
+        a[0] = 1;
+        let error = r[0];
+        for (let i = 1; i <= order; i++) {
+            let acc = r[i];
+            for (let j = 1; j < i; j++) {
+                acc += a[j] * r[i - j];
+            }
+            const reflection = -acc / error;
+
+            const previous = a.slice();
+            for (let j = 1; j < i; j++) {
+                a[j] = previous[j] + reflection * previous[i - j];
+            }
+            a[i] = reflection;
+            error *= 1 - reflection * reflection;
+            if (!(error > 0)) break;
+        }
+
+        // Evaluate the inverse filter on the bin grid
+        const filterReal = new Float64Array(size);
+        const filterImag = new Float64Array(size);
+        filterReal.set(a);
+        FFT.transform(filterReal, filterImag);
+
+        const gain = Math.sqrt(Math.max(error, 0));
+        for (let k = 0; k < numBins; k++) {
+            const response = Math.sqrt(filterReal[k] * filterReal[k] + filterImag[k] * filterImag[k]);
+            envelope[k] = gain / Math.max(response, 1e-12);
+        }
+        return envelope;
+    },
+
+    /**
+     * Get the envelope of a frame
+     * @param {Float32Array} magnitude - Magnitude bins
+     * @param {string} method - 'cepstral' or 'lpc'
+     * @param {number} order - Lifter length or LPC order
+     * @returns {Float32Array}
+     */
+    get: (magnitude, method, order) => {
+        return method === 'lpc'
+            ? SpectralEnvelope.lpc(magnitude, order)
+            : SpectralEnvelope.cepstral(magnitude, order);
+    },
+
+    /**
+     * Replace the envelope of one spectrum with that of another: the carrier
+     * is divided by its own envelope (flattened) and shaped by the modulator's
+     * @param {Float32Array} carrier - Magnitudes providing the fine structure
+     * @param {Float32Array} modulator - Magnitudes providing the envelope
+     * @param {string} method - 'cepstral' or 'lpc'
+     * @param {number} order - Lifter length or LPC order
+     * @returns {Float32Array}
+     */
+    crossSynthesize: (carrier, modulator, method, order) => {
+        const carrierEnvelope = SpectralEnvelope.get(carrier, method, order);
+        const modulatorEnvelope = SpectralEnvelope.get(modulator, method, order);
+
+        // Don't amplify bins where the carrier has (almost) nothing
+        const floor = Math.max(findMax(carrierEnvelope) * SpectralEnvelope.floor, 1e-20);
+        const result = new Float32Array(carrier.length);
+        for (let k = 0; k < carrier.length; k++) {
+            result[k] = carrier[k] / Math.max(carrierEnvelope[k], floor) * modulatorEnvelope[k];
+        }
+        return result;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpectralEnvelope;
+}
@@ -0,0 +1,131 @@
+/**
+ * Tempo Module
+ * Tempo estimation from the autocorrelation of the onset strength, and the
+ * bar arithmetic used to match loops to a common tempo and length
+ */
+
+const Tempo = {
+    // Tempo range searched, in BPM
+    minBpm: 60,
+    maxBpm: 200,
+
+    // Tempo the estimate leans towards, and the width (octaves) of that
+    // preference, so the beat is preferred over half or double time
+    preferredBpm: 120,
+    preferenceWidth: 0.5,
+
+    // Shortest input worth estimating, in beats at minBpm, and the fewest onsets
+    // (at the default sensitivity) it must have; steady tones and noise have none
+    minBeats: 4,
+    minOnsets: 4,
+
+    /**
+     * Estimate the tempo of a sequence of frames. A beat period is scored by the
+     * autocorrelation of the onset strength at it and at twice it, which rules
+     * out periods that only fit every other beat (e.g. 2/3 of the tempo); among
+     * the rest, tempos near preferredBpm win
+     * @param {Array} frames - {magnitude} frames
+     * @param {number} hopSeconds - Time between frames
+     * @returns {Object|null} {bpm, confidence (0-1: how periodic the onsets are)},
+     *   or null if the input is too short or has too few onsets
+     */
+    estimate: (frames, hopSeconds) => {
+        const minLag = Math.max(1, Math.floor(60 / Tempo.maxBpm / hopSeconds));
+        const maxLag = Math.ceil(60 / Tempo.minBpm / hopSeconds);
+        if (frames.length * hopSeconds < Tempo.minBeats * 60 / Tempo.minBpm || 2 * maxLag + 2 >= frames.length) return null;
+        if (Onsets.detect(frames, 50, hopSeconds).length < Tempo.minOnsets) return null;
+
+        // Onset strength without its mean, so steady passages don't correlate
+        const strength = Onsets.strength(frames);
+        let mean = 0;
+        strength.forEach(value => { mean += value; });
+        mean /= strength.length;
+        const signal = strength.map(value => value - mean);
+
+        const correlate = lag => {
+            let sum = 0;
+            for (let i = lag; i < signal.length; i++) sum += signal[i] * signal[i - lag];
+            return sum / (signal.length - lag);
+        };
+        const energy = correlate(0);
+        if (!(energy > 0)) return null;
+
+        const correlation = new Float32Array(2 * maxLag + 2);
+        for (let lag = 1; lag < correlation.length; lag++) correlation[lag] = correlate(lag);
+
+        let bestLag = 0, bestScore = 0;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            const octaves = Math.log2(60 / (lag * hopSeconds) / Tempo.preferredBpm) / Tempo.preferenceWidth;
+            const score = 0.5 * (correlation[lag] + correlation[2 * lag]) * Math.exp(-0.5 * octaves * octaves);
+            if (score > bestScore) {
+                bestScore = score;
+                bestLag = lag;
+            }
+        }
+        if (bestLag === 0) return null;
+
+        // The period is refined at twice the lag (parabolic interpolation between
+        // its neighbours), which halves the error of refining it at the lag itself
+        const peak = Tempo.refine(correlation, 2 * bestLag);
+        return {
+            bpm: 60 / (peak / 2 * hopSeconds),
+            confidence: Math.max(0, Math.min(1, 0.5 * (correlation[bestLag] + correlation[2 * bestLag]) / energy))
+        };
+    },
+
+    /**
+     * Fractional position of a correlation peak: the highest of a lag and its
+     * neighbours, moved to the top of the parabola through it and its neighbours
+     * @param {Float32Array} correlation - Autocorrelation per lag
+     * @param {number} lag - Lag near the peak (not the first or last)
+     * @returns {number}
+     */
+    refine: (correlation, lag) => {
+        if (correlation[lag - 1] > correlation[lag] && lag - 1 > 0) lag--;
+        else if (correlation[lag + 1] > correlation[lag] && lag + 2 < correlation.length) lag++;
+
+        const left = correlation[lag - 1];
+        const centre = correlation[lag];
+        const right = correlation[lag + 1];
+        const curvature = left - 2 * centre + right;
+        return lag + (curvature < 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (left - right) / curvature)) : 0);
+    },
+
+    /**
+     * Double or halve a tempo until it is as close as it gets to a reference, so
+     * two loops whose estimates landed an octave apart get the same beat
+     * @param {number} bpm - Tempo to fold
+     * @param {number} reference - Tempo to fold towards
+     * @returns {number}
+     */
+    fold: (bpm, reference) => {
+        return bpm * Math.pow(2, Math.round(Math.log2(reference / bpm)));
+    },
+
+    /**
+     * Number of bars a duration spans at a tempo
+     * @param {number} seconds - Duration
+     * @param {number} bpm - Tempo
+     * @param {number} beatsPerBar - Beats per bar
+     * @returns {number}
+     */
+    bars: (seconds, bpm, beatsPerBar) => {
+        return seconds * bpm / 60 / beatsPerBar;
+    },
+
+    /**
+     * Duration of a number of bars at a tempo
+     * @param {number} bars - Bars
+     * @param {number} bpm - Tempo
+     * @param {number} beatsPerBar - Beats per bar
+     * @returns {number} Seconds
+     */
+    seconds: (bars, bpm, beatsPerBar) => {
+        return bars * beatsPerBar * 60 / bpm;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Tempo;
+}
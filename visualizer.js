@@ -7,6 +7,9 @@ class Visualizer {
     constructor() {
         this.canvases = {};
         this.contexts = {};
+
+        // Frequency scale of the last spectrogram drawn on each canvas: {freqPerBin, displayBins}
+        this.spectrogramScales = {};
     }
 
     /**
@@ -19,7 +22,9 @@ class Visualizer {
             'waveformOutput',
             'spectrogramA',
             'spectrogramB',
-            'spectrogramOutput'
+            'spectrogramOutput',
+            'automationCanvas',
+            'stageSpectrogram'
         ];
 
         canvasIds.forEach(id => {
@@ -27,15 +32,24 @@ class Visualizer {
             if (canvas) {
                 this.canvases[id] = canvas;
                 this.contexts[id] = canvas.getContext('2d');
-                // Set canvas resolution
-                const rect = canvas.getBoundingClientRect();
-                canvas.width = rect.width * window.devicePixelRatio;
-                canvas.height = rect.height * window.devicePixelRatio;
-                this.contexts[id].scale(window.devicePixelRatio, window.devicePixelRatio);
+                this.resize(id);
             }
         });
     }
 
+    /**
+     * Match a canvas resolution to its displayed size (call after showing a hidden canvas)
+     * @param {string} canvasId - Canvas identifier
+     */
+    resize(canvasId) {
+        const canvas = this.canvases[canvasId];
+        if (!canvas) return;
+        const rect = canvas.getBoundingClientRect();
+        canvas.width = rect.width * window.devicePixelRatio;
+        canvas.height = rect.height * window.devicePixelRatio;
+        this.contexts[canvasId].setTransform(window.devicePixelRatio, 0, 0, window.devicePixelRatio, 0, 0);
+    }
+
     /**
      * Clear a canvas
      * @param {string} canvasId - Canvas identifier
@@ -158,7 +172,7 @@ class Visualizer {
         ctx.font = '10px monospace';
         ctx.textAlign = 'left';
 
-        const freqStep = sampleRate / 2 / magnitude.length;
+        const freqStep = sampleRate / 2 / (magnitude.length - 1);
         const labelFreqs = [100, 1000, 5000, 10000];
 
         labelFreqs.forEach(freq => {
@@ -321,11 +335,12 @@ class Visualizer {
 
         // Only display up to ~16kHz for better resolution
         const maxDisplayFreq = 16000;
-        const freqPerBin = (sampleRate / 2) / numBins;
+        const freqPerBin = (sampleRate / 2) / (numBins - 1);
         const displayBins = Math.min(numBins, Math.ceil(maxDisplayFreq / freqPerBin));
 
         const frameWidth = pixelWidth / numFrames;
         const binHeight = pixelHeight / displayBins;
+        this.spectrogramScales[canvasId] = { freqPerBin, displayBins };
 
         // Use dB scale with dynamic range
         const minDb = -80;
@@ -413,6 +428,240 @@ class Visualizer {
         });
     }
 
+    /**
+     * Mark frequencies (e.g. multiband crossovers) over a spectrogram, with a
+     * shaded span around each one
+     * @param {string} canvasId - Canvas with a spectrogram already drawn
+     * @param {Array} markers - Array of {freq, low, high} in Hz (low/high bound the shaded span)
+     */
+    drawFrequencyMarkers(canvasId, markers) {
+        const canvas = this.canvases[canvasId];
+        const ctx = this.contexts[canvasId];
+        const scale = this.spectrogramScales[canvasId];
+        if (!ctx || !canvas || !scale) return;
+
+        const width = canvas.width / window.devicePixelRatio;
+        const height = canvas.height / window.devicePixelRatio;
+        const toY = freq => height - (freq / scale.freqPerBin / scale.displayBins) * height;
+
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'bottom';
+
+        markers.forEach(marker => {
+            const y = toY(marker.freq);
+            if (y < 0) return; // Above the displayed range
+
+            const top = Math.max(0, toY(marker.high));
+            ctx.fillStyle = 'rgba(163, 113, 247, 0.15)';
+            ctx.fillRect(0, top, width, toY(marker.low) - top);
+
+            ctx.strokeStyle = '#a371f7';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            const label = marker.freq >= 1000 ? `${+(marker.freq / 1000).toFixed(2)} kHz` : `${Math.round(marker.freq)} Hz`;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(width - 62, y - 13, 60, 12);
+            ctx.fillStyle = '#a371f7';
+            ctx.fillText(label, width - 4, y - 1);
+        });
+    }
+
+    /**
+     * Draw a pitch track over a spectrogram (drawn by drawSpectrogram), broken
+     * where there is no pitch, with the dominant pitch labelled on the right
+     * @param {string} canvasId - Canvas identifier
+     * @param {Float32Array} track - Pitch in Hz per frame (0 = no pitch)
+     * @param {number} hopSeconds - Time between frames
+     * @param {number} duration - Duration represented by the canvas width, in seconds
+     * @param {string} label - Label text (e.g. "440 Hz A4")
+     */
+    drawPitchTrack(canvasId, track, hopSeconds, duration, label) {
+        const canvas = this.canvases[canvasId];
+        const ctx = this.contexts[canvasId];
+        const scale = this.spectrogramScales[canvasId];
+        if (!ctx || !canvas || !scale || !(duration > 0)) return;
+
+        const width = canvas.width / window.devicePixelRatio;
+        const height = canvas.height / window.devicePixelRatio;
+        const toY = freq => height - (freq / scale.freqPerBin / scale.displayBins) * height;
+
+        ctx.strokeStyle = '#39d0d8';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        let drawing = false;
+        track.forEach((freq, i) => {
+            if (!(freq > 0)) {
+                drawing = false;
+                return;
+            }
+            const x = (i * hopSeconds / duration) * width;
+            if (drawing) {
+                ctx.lineTo(x, toY(freq));
+            } else {
+                ctx.moveTo(x, toY(freq));
+                drawing = true;
+            }
+        });
+        ctx.stroke();
+
+        if (label) {
+            ctx.font = '10px monospace';
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'top';
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(width - 4 - ctx.measureText(label).width - 4, 2, ctx.measureText(label).width + 6, 13);
+            ctx.fillStyle = '#39d0d8';
+            ctx.fillText(label, width - 4, 4);
+        }
+    }
+
+    /**
+     * Draw a DTW warping path over one input's spectrogram: x is this input's
+     * time and the curve's height the matched time in the other input (the
+     * dashed diagonal is an even stretch). Numbered markers sit at the same path
+     * points on both inputs, so matching events can be compared
+     * @param {string} canvasId - Canvas identifier
+     * @param {Int32Array} path - This input's frame along the path
+     * @param {Int32Array} otherPath - The other input's frame along the path
+     * @param {number} hopSeconds - Time between frames
+     * @param {number} duration - Duration represented by the canvas width, in seconds
+     * @param {number} otherDuration - Duration of the other input, in seconds
+     * @param {string} label - Optional label (top left)
+     */
+    drawAlignmentPath(canvasId, path, otherPath, hopSeconds, duration, otherDuration, label) {
+        const canvas = this.canvases[canvasId];
+        const ctx = this.contexts[canvasId];
+        if (!ctx || !canvas || path.length === 0 || !(duration > 0) || !(otherDuration > 0)) return;
+
+        const width = canvas.width / window.devicePixelRatio;
+        const height = canvas.height / window.devicePixelRatio;
+        const toX = frame => Math.min(width, (frame * hopSeconds / duration) * width);
+        const toY = frame => height - Math.min(1, frame * hopSeconds / otherDuration) * height;
+        const last = path.length - 1;
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(toX(path[0]), toY(otherPath[0]));
+        ctx.lineTo(toX(path[last]), toY(otherPath[last]));
+        ctx.stroke();
+        ctx.restore();
+
+        ctx.strokeStyle = '#f5a623';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let p = 0; p <= last; p++) {
+            if (p === 0) {
+                ctx.moveTo(toX(path[p]), toY(otherPath[p]));
+            } else {
+                ctx.lineTo(toX(path[p]), toY(otherPath[p]));
+            }
+        }
+        ctx.stroke();
+
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const markers = 8;
+        for (let n = 1; n <= markers; n++) {
+            const x = toX(path[Math.round(n * last / (markers + 1))]);
+            ctx.fillStyle = 'rgba(245, 166, 35, 0.6)';
+            ctx.fillRect(x, 0, 1, height);
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(x - 6, 2, 12, 12);
+            ctx.fillStyle = '#f5a623';
+            ctx.fillText(String(n), x, 3);
+        }
+
+        if (label) {
+            ctx.textAlign = 'left';
+            const labelWidth = ctx.measureText(label).width;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(2, height - 30, labelWidth + 6, 13);
+            ctx.fillStyle = '#f5a623';
+            ctx.fillText(label, 5, height - 28);
+        }
+    }
+
+    /**
+     * Draw onset markers (vertical lines) over a waveform, with their count
+     * @param {string} canvasId - Canvas identifier
+     * @param {number[]} times - Onset times in seconds
+     * @param {number} duration - Duration represented by the canvas width, in seconds
+     */
+    drawOnsetMarkers(canvasId, times, duration) {
+        const canvas = this.canvases[canvasId];
+        const ctx = this.contexts[canvasId];
+        if (!ctx || !canvas || !(duration > 0)) return;
+
+        const width = canvas.width / window.devicePixelRatio;
+        const height = canvas.height / window.devicePixelRatio;
+
+        ctx.strokeStyle = 'rgba(255, 77, 109, 0.8)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        times.forEach(time => {
+            const x = Math.round((time / duration) * width) + 0.5;
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+        });
+        ctx.stroke();
+
+        const label = `${times.length} onset${times.length === 1 ? '' : 's'}`;
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(width - 4 - ctx.measureText(label).width - 4, 2, ctx.measureText(label).width + 6, 13);
+        ctx.fillStyle = '#ff4d6d';
+        ctx.fillText(label, width - 4, 4);
+    }
+
+    /**
+     * Draw a time axis (seconds) along the bottom of a canvas
+     * @param {string} canvasId - Canvas identifier
+     * @param {number} duration - Duration represented by the canvas width, in seconds
+     */
+    drawTimeAxis(canvasId, duration) {
+        const canvas = this.canvases[canvasId];
+        const ctx = this.contexts[canvasId];
+        if (!ctx || !canvas || !(duration > 0)) return;
+
+        const width = canvas.width / window.devicePixelRatio;
+        const height = canvas.height / window.devicePixelRatio;
+
+        // Pick a tick spacing that gives roughly 4-10 labels
+        const steps = [0.1, 0.25, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300];
+        const step = steps.find(s => duration / s <= 10) || steps[steps.length - 1];
+
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+
+        for (let t = step; t < duration; t += step) {
+            const x = (t / duration) * width;
+            const label = step < 1 ? `${t.toFixed(2)}s` : `${Math.round(t)}s`;
+
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+            ctx.fillRect(x, height - 14, 1, 14);
+
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(x - 18, height - 13, 36, 12);
+
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(label, x, height - 1);
+        }
+    }
+
     /**
      * Clear all visualizations
      */
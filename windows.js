@@ -0,0 +1,135 @@
+/**
+ * Window Functions Module
+ * Analysis/synthesis windows and overlap-add reconstruction checks
+ */
+
+const Windows = {
+    // Display names for the UI and warnings
+    names: {
+        hann: 'Hann',
+        hamming: 'Hamming',
+        blackmanHarris: 'Blackman-Harris',
+        kaiser: 'Kaiser',
+        flatTop: 'Flat-top'
+    },
+
+    _cache: {},
+
+    /**
+     * Hann window: good all-round choice, reconstructs cleanly at 75% overlap and above
+     */
+    hann: (size) => Windows.cosineSum(size, [0.5, -0.5]),
+
+    /**
+     * Hamming window: narrower main lobe, higher sidelobes than Hann
+     */
+    hamming: (size) => Windows.cosineSum(size, [0.54, -0.46]),
+
+    /**
+     * 4-term Blackman-Harris window: very low sidelobes (-92 dB), needs high overlap
+     */
+    blackmanHarris: (size) => Windows.cosineSum(size, [0.35875, -0.48829, 0.14128, -0.01168]),
+
+    /**
+     * Flat-top window: accurate peak amplitudes, very wide main lobe
+     */
+    flatTop: (size) => Windows.cosineSum(size, [0.21557895, -0.41663158, 0.277263158, -0.083578947, 0.006947368]),
+
+    /**
+     * Kaiser window: sidelobe level set by beta (0 = rectangular, ~8.6 ≈ Blackman)
+     */
+    kaiser: (size, beta = 8) => {
+        const window = new Float32Array(size);
+        const norm = Resampler.besselI0(beta);
+        for (let i = 0; i < size; i++) {
+            const r = 2 * i / size - 1;
+            window[i] = Resampler.besselI0(beta * Math.sqrt(Math.max(0, 1 - r * r))) / norm;
+        }
+        return window;
+    },
+
+    /**
+     * Periodic generalised cosine window: sum of a_k·cos(2πki/N)
+     * @param {number} size - Window size
+     * @param {number[]} coefficients - Cosine term coefficients a_0..a_k
+     * @returns {Float32Array}
+     */
+    cosineSum: (size, coefficients) => {
+        const window = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            let value = 0;
+            for (let k = 0; k < coefficients.length; k++) {
+                value += coefficients[k] * Math.cos(2 * Math.PI * k * i / size);
+            }
+            window[i] = value;
+        }
+        return window;
+    },
+
+    /**
+     * Get a (cached) window
+     * @param {string} type - 'hann', 'hamming', 'blackmanHarris', 'kaiser' or 'flatTop'
+     * @param {number} size - Window size
+     * @param {number} beta - Kaiser beta (ignored by other windows)
+     * @returns {Float32Array}
+     */
+    get: (type, size, beta = 8) => {
+        if (!Windows.names[type]) type = 'hann';
+        const key = type === 'kaiser' ? `${type}:${size}:${beta}` : `${type}:${size}`;
+        if (!Windows._cache[key]) {
+            Windows._cache[key] = Windows[type](size, beta);
+        }
+        return Windows._cache[key];
+    },
+
+    /**
+     * Check how well a window reconstructs at a hop size, using the same window
+     * for analysis and synthesis (overlap-add of the squared window)
+     * @param {Float32Array} window - Window
+     * @param {number} hopSize - Hop size in samples
+     * @returns {Object} {min, max, ripple} of the steady-state squared window sum;
+     *   ripple is max/min in dB (Infinity when some samples are never covered)
+     */
+    reconstructionQuality: (window, hopSize) => {
+        const size = window.length;
+        let min = Infinity;
+        let max = 0;
+        for (let n = 0; n < hopSize; n++) {
+            let sum = 0;
+            for (let i = n % hopSize; i < size; i += hopSize) {
+                sum += window[i] * window[i];
+            }
+            if (sum < min) min = sum;
+            if (sum > max) max = sum;
+        }
+        const ripple = min > max * 1e-6 ? 10 * Math.log10(max / min) : Infinity;
+        return { min, max, ripple };
+    },
+
+    /**
+     * Describe why a window/hop combination cannot reconstruct cleanly
+     * @param {string} type - Window type
+     * @param {number} size - Window size
+     * @param {number} hopSize - Hop size in samples
+     * @param {number} beta - Kaiser beta
+     * @returns {string|null} Warning message, or null if reconstruction is clean
+     */
+    getReconstructionWarning: (type, size, hopSize, beta = 8) => {
+        const { ripple } = Windows.reconstructionQuality(Windows.get(type, size, beta), hopSize);
+        const name = Windows.names[type] || Windows.names.hann;
+
+        // Beyond 20 dB the weakest samples fall under the 1% floor used by overlap-add
+        if (ripple > 20) {
+            return `${name} window at this overlap leaves gaps between frames: the output cannot be reconstructed. Increase the overlap.`;
+        }
+        if (ripple > 1) {
+            return `${name} window at this overlap has uneven coverage (${ripple.toFixed(1)} dB ripple): processed output may flutter. Increase the overlap.`;
+        }
+        return null;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Windows;
+}